@@ -0,0 +1,63 @@
+/**
+ * Add the geohash field to devices created before viewport queries used it
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run geohash:backfill
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 npm run geohash:backfill
+ *
+ * Devices without a geohash are missing from every viewport query. This pages
+ * through the whole collection and writes the geohash computed from each
+ * device's own coordinates; devices that already have one are skipped.
+ * updatedAt is left untouched so cached clients don't treat every device as
+ * changed. Safe to run more than once.
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldPath } from 'firebase-admin/firestore';
+import { encodeGeohash } from '../src/utils/geohash.js';
+
+const PAGE_SIZE = 500;
+
+async function main() {
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'peekback-24faa' });
+  const db = getFirestore();
+  const writer = db.bulkWriter();
+
+  let lastDoc = null;
+  let hasMore = true;
+  let scanned = 0;
+  let updated = 0;
+
+  while (hasMore) {
+    let q = db.collection('devices')
+      .orderBy(FieldPath.documentId())
+      .select('geohash', 'latitude', 'longitude')
+      .limit(PAGE_SIZE);
+    if (lastDoc) {
+      q = q.startAfter(lastDoc);
+    }
+
+    const snapshot = await q.get();
+    snapshot.docs.forEach((doc) => {
+      const { geohash, latitude, longitude } = doc.data();
+      if (geohash || typeof latitude !== 'number' || typeof longitude !== 'number') {
+        return;
+      }
+      writer.update(doc.ref, { geohash: encodeGeohash(latitude, longitude) });
+      updated++;
+    });
+
+    scanned += snapshot.size;
+    console.log(`Scanned ${scanned} devices, queued ${updated}...`);
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    hasMore = snapshot.size === PAGE_SIZE;
+  }
+
+  await writer.close();
+  console.log(`Added a geohash to ${updated} of ${scanned} devices`);
+}
+
+main().catch((error) => {
+  console.error('Error backfilling geohashes:', error);
+  process.exit(1);
+});
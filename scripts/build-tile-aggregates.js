@@ -0,0 +1,85 @@
+/**
+ * Build the low-zoom aggregate tiles served from /tiles/z{zoom}.json
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run tiles:build
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 npm run tiles:build
+ *
+ * Reads every device from Firestore (skipping tombstones) and writes one JSON
+ * file per zoom level into public/tiles so Vite copies them into the build.
+ * Devices are counted by their status at build time, so the map can leave out
+ * removed ones; rebuild regularly to keep that current.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldPath } from 'firebase-admin/firestore';
+import {
+  AGGREGATE_MIN_ZOOM,
+  AGGREGATE_MAX_ZOOM,
+  buildTileAggregates,
+} from '../src/utils/tileAggregates.js';
+
+const PAGE_SIZE = 5000;
+const OUTPUT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'public', 'tiles');
+
+/**
+ * Read every live device from Firestore, paging by document id
+ * @param {Object} db - Admin Firestore instance
+ * @returns {Promise<Array>} Array of {latitude, longitude, type} with the fields the device status needs
+ */
+async function fetchDevices(db) {
+  const devices = [];
+  let lastDoc = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    let q = db.collection('devices')
+      .orderBy(FieldPath.documentId())
+      .select(
+        'latitude', 'longitude', 'type', 'deleted',
+        'confirmationCount', 'thumbsUp', 'inactiveReports', 'lastConfirmedAt', 'lastInactiveReportAt'
+      )
+      .limit(PAGE_SIZE);
+    if (lastDoc) {
+      q = q.startAfter(lastDoc);
+    }
+
+    const snapshot = await q.get();
+    snapshot.docs.forEach((doc) => {
+      const { deleted, ...device } = doc.data();
+      if (!deleted && typeof device.latitude === 'number' && typeof device.longitude === 'number') {
+        devices.push(device);
+      }
+    });
+
+    console.log(`Read ${devices.length} devices...`);
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    hasMore = snapshot.size === PAGE_SIZE;
+  }
+
+  return devices;
+}
+
+async function main() {
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'peekback-24faa' });
+  const db = getFirestore();
+
+  const devices = await fetchDevices(db);
+  const aggregates = buildTileAggregates(devices, AGGREGATE_MIN_ZOOM, AGGREGATE_MAX_ZOOM);
+  const generatedAt = new Date().toISOString();
+
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  for (const [zoom, tiles] of Object.entries(aggregates)) {
+    const file = join(OUTPUT_DIR, `z${zoom}.json`);
+    await writeFile(file, JSON.stringify({ zoom: Number(zoom), generatedAt, deviceCount: devices.length, tiles }));
+    console.log(`Wrote ${tiles.length} tiles to ${file}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error building tile aggregates:', error);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+/**
+ * Move thumbs-up votes into the confirmations subcollection
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run confirmations:migrate
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 npm run confirmations:migrate
+ *
+ * For every device that still has thumbsUp/thumbsUpUsers, writes one
+ * devices/{id}/confirmations/{uid} document per voter, sets confirmationCount
+ * (counting confirmations already made in the app) and removes the old fields.
+ * The old votes carry no time, so each confirmation is dated to the device's
+ * creation and lastConfirmedAt is left unset rather than claiming a recent
+ * confirmation. Safe to run more than once.
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldPath, FieldValue } from 'firebase-admin/firestore';
+
+const PAGE_SIZE = 500;
+
+async function main() {
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'peekback-24faa' });
+  const db = getFirestore();
+  const writer = db.bulkWriter();
+
+  let lastDoc = null;
+  let hasMore = true;
+  let migrated = 0;
+
+  while (hasMore) {
+    let q = db.collection('devices')
+      .orderBy(FieldPath.documentId())
+      .select('thumbsUp', 'thumbsUpUsers', 'confirmationCount', 'createdAt')
+      .limit(PAGE_SIZE);
+    if (lastDoc) {
+      q = q.startAfter(lastDoc);
+    }
+
+    const snapshot = await q.get();
+    for (const doc of snapshot.docs) {
+      const { thumbsUp, thumbsUpUsers, confirmationCount, createdAt } = doc.data();
+      if (thumbsUp === undefined && thumbsUpUsers === undefined) {
+        continue;
+      }
+
+      // Devices confirmed since the app switched over already have some documents
+      const confirmations = doc.ref.collection('confirmations');
+      const existing = confirmationCount !== undefined
+        ? new Set((await confirmations.listDocuments()).map(ref => ref.id))
+        : new Set();
+      const voters = [...new Set(thumbsUpUsers || [])].filter(uid => !existing.has(uid));
+      voters.forEach((uid) => {
+        writer.set(confirmations.doc(uid), {
+          note: null,
+          createdAt: createdAt || FieldValue.serverTimestamp(),
+        });
+      });
+      writer.update(doc.ref, {
+        confirmationCount: existing.size + voters.length,
+        thumbsUp: FieldValue.delete(),
+        thumbsUpUsers: FieldValue.delete(),
+        // Bumped so cached clients pick up the new fields on their next sync
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      migrated++;
+    }
+
+    console.log(`Queued ${migrated} devices...`);
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    hasMore = snapshot.size === PAGE_SIZE;
+  }
+
+  await writer.close();
+  console.log(`Migrated ${migrated} devices`);
+}
+
+main().catch((error) => {
+  console.error('Error migrating confirmations:', error);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+/**
+ * Fill the Firestore emulator with a generated device dataset
+ *
+ * Usage:
+ *   firebase emulators:start --only firestore
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 npm run emulator:seed -- 20000
+ *
+ * Devices are scattered around a handful of US metro areas so clustering and
+ * the low-zoom aggregate tiles have realistic hot spots. Refuses to run
+ * without FIRESTORE_EMULATOR_HOST so it can never write to production.
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { encodeGeohash } from '../src/utils/geohash.js';
+
+const DEFAULT_COUNT = 10000;
+const BATCH_SIZE = 500;
+
+const DEVICE_TYPES = ['flock', 'license_plate_reader', 'traffic_camera', 'security_camera', 'other'];
+
+// [latitude, longitude, spread in degrees]
+const METRO_AREAS = [
+  [40.7128, -74.006, 0.6],
+  [34.0522, -118.2437, 0.8],
+  [41.8781, -87.6298, 0.5],
+  [29.7604, -95.3698, 0.6],
+  [33.749, -84.388, 0.5],
+  [47.6062, -122.3321, 0.4],
+  [39.7392, -104.9903, 0.4],
+];
+
+/**
+ * Generate a random device near one of the metro areas, or anywhere in the
+ * continental US for a small share of rural devices
+ * @param {number} index - Sequence number used for the description
+ * @returns {Object} Device data
+ */
+function generateDevice(index) {
+  let latitude;
+  let longitude;
+  if (Math.random() < 0.1) {
+    latitude = 25 + Math.random() * 24;
+    longitude = -124 + Math.random() * 57;
+  } else {
+    const [lat, lng, spread] = METRO_AREAS[Math.floor(Math.random() * METRO_AREAS.length)];
+    latitude = lat + (Math.random() - 0.5) * spread;
+    longitude = lng + (Math.random() - 0.5) * spread;
+  }
+
+  return {
+    type: DEVICE_TYPES[Math.floor(Math.random() * DEVICE_TYPES.length)],
+    latitude,
+    longitude,
+    geohash: encodeGeohash(latitude, longitude),
+    address: '',
+    description: `Generated device ${index}`,
+    reportedBy: { uid: 'emulator-seed', isAnonymous: true },
+    confirmationCount: 0,
+    inactiveReports: 0,
+    inactiveReportUsers: [],
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+}
+
+async function main() {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) {
+    throw new Error('FIRESTORE_EMULATOR_HOST is not set; refusing to seed a real project');
+  }
+
+  const count = Number(process.argv[2]) || DEFAULT_COUNT;
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'peekback-24faa' });
+  const db = getFirestore();
+
+  for (let i = 0; i < count; i += BATCH_SIZE) {
+    const batch = db.batch();
+    const end = Math.min(i + BATCH_SIZE, count);
+    for (let j = i; j < end; j++) {
+      batch.set(db.collection('devices').doc(), generateDevice(j));
+    }
+    await batch.commit();
+    console.log(`Seeded ${end}/${count} devices`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error seeding emulator:', error);
+  process.exit(1);
+});
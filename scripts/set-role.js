@@ -0,0 +1,38 @@
+/**
+ * Grant or revoke a moderation role
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run roles:set -- <uid> moderator
+ *   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run roles:set -- <uid> none
+ *
+ * Roles live in roles/{uid}, which firestore.rules lets nobody write from the
+ * client, so this Admin SDK script is the only way to change them.
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+
+const ROLES = ['moderator', 'admin'];
+
+async function main() {
+  const [uid, role] = process.argv.slice(2);
+  if (!uid || !role || (role !== 'none' && !ROLES.includes(role))) {
+    throw new Error(`Usage: npm run roles:set -- <uid> <${ROLES.join('|')}|none>`);
+  }
+
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'peekback-24faa' });
+  const roleRef = getFirestore().collection('roles').doc(uid);
+
+  if (role === 'none') {
+    await roleRef.delete();
+    console.log(`Removed role from ${uid}`);
+  } else {
+    await roleRef.set({ role, grantedAt: FieldValue.serverTimestamp() });
+    console.log(`Granted ${role} to ${uid}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error setting role:', error);
+  process.exit(1);
+});
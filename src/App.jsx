@@ -9,6 +9,10 @@ import Privacy from './pages/Privacy'
 import About from './pages/About'
 import AboutDevices from './pages/AboutDevices'
 import DataManagement from './pages/DataManagement'
+import DeviceDetail from './pages/DeviceDetail'
+import MySubmissions from './pages/MySubmissions'
+import Account from './pages/Account'
+import Moderation from './pages/Moderation'
 
 function App() {
   return (
@@ -26,7 +30,13 @@ function App() {
                   <Route path="/privacy" element={<Privacy />} />
                   <Route path="/about" element={<About />} />
                   <Route path="/devices" element={<AboutDevices />} />
+                  <Route path="/devices/:id" element={<DeviceDetail />} />
+                  <Route path="/devices/:id/edit" element={<Submit />} />
+                  <Route path="/devices/:id/suggest" element={<Submit mode="suggest" />} />
                   <Route path="/data" element={<DataManagement />} />
+                  <Route path="/my-submissions" element={<MySubmissions />} />
+                  <Route path="/account" element={<Account />} />
+                  <Route path="/moderation" element={<Moderation />} />
                 </Routes>
               </main>
               <Footer />
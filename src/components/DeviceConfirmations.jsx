@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react'
+import { useAuth } from '../hooks/useAuth'
+import { confirmDevice, getDeviceConfirmations } from '../firebase/services'
+import { formatTimeAgo } from '../utils/timeAgo'
+
+const MAX_NOTE_LENGTH = 280
+
+// Recent "still here" confirmations with their notes, and a form to add or withdraw one
+function DeviceConfirmations({ device }) {
+  const { currentUser } = useAuth()
+  const [confirmations, setConfirmations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [note, setNote] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const deviceId = device.id
+  // Reload whenever the device changes, so new confirmations show up
+  const updatedAtMillis = device.updatedAt?.toMillis?.() || 0
+
+  useEffect(() => {
+    let cancelled = false
+    getDeviceConfirmations(deviceId)
+      .then((recent) => {
+        if (!cancelled) {
+          setConfirmations(recent)
+        }
+      })
+      .catch(() => {
+        // Confirmations are secondary; the rest of the page still works without them
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [deviceId, updatedAtMillis])
+
+  const ownConfirmation = currentUser ? confirmations.find(confirmation => confirmation.id === currentUser.uid) : null
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!currentUser || submitting) return
+
+    setSubmitting(true)
+    try {
+      await confirmDevice(deviceId, currentUser.uid, ownConfirmation ? null : note.trim())
+      setNote('')
+    } catch (error) {
+      console.error('Error confirming device:', error)
+      alert('Failed to update confirmation. Please try again.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      {currentUser && (
+        <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+          {!ownConfirmation && (
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={MAX_NOTE_LENGTH}
+              placeholder="Note (optional), e.g. still there, now on a new pole"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+          <button
+            type="submit"
+            disabled={submitting}
+            className={`px-4 py-2 text-sm font-medium rounded-md transition-colors disabled:opacity-50 ${
+              ownConfirmation
+                ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                : 'bg-blue-600 text-white hover:bg-blue-700'
+            }`}
+          >
+            {submitting ? 'Saving...' : ownConfirmation ? 'Withdraw my confirmation' : '👍 Still here'}
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-600">Loading confirmations...</p>
+      ) : confirmations.length === 0 ? (
+        <p className="text-sm text-gray-600">Nobody has confirmed this device yet.</p>
+      ) : (
+        <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {confirmations.map(confirmation => (
+            <li key={confirmation.id} className="px-4 py-3 text-sm">
+              <p className="text-xs text-gray-500">
+                {formatTimeAgo(confirmation.createdAt) || 'Just now'}
+                {' · '}
+                {currentUser?.uid === confirmation.id ? 'You' : `Contributor ${confirmation.id.slice(0, 6)}`}
+              </p>
+              {confirmation.note && (
+                <p className="text-gray-700">{confirmation.note}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default DeviceConfirmations
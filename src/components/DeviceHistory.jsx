@@ -0,0 +1,172 @@
+import { useEffect, useState } from 'react'
+import { useAuth } from '../hooks/useAuth'
+import { getDeviceRevisions, getRevertUpdates, revertRevision } from '../firebase/services'
+import { deviceTypeLabels } from '../utils/mapIcons'
+import { formatDirections } from '../utils/direction'
+
+const ACTION_LABELS = {
+  create: 'Reported',
+  update: 'Edited',
+  vote: 'Vote',
+  photo: 'Photo',
+  delete: 'Deleted',
+  transfer: 'Moved to an account',
+  revert: 'Reverted',
+  report: 'Reported as a problem',
+  hide: 'Hidden by a moderator',
+  restore: 'Restored by a moderator',
+  dismiss: 'Reports dismissed by a moderator',
+  merge: 'Merged',
+}
+
+const FIELD_LABELS = {
+  type: 'Type',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  address: 'Address',
+  description: 'Description',
+  direction: 'Direction',
+  fov: 'Field of view',
+  osmId: 'OSM ID',
+  reportedBy: 'Owner',
+  thumbsUp: '👍',
+  confirmationCount: '👍',
+  inactiveReports: '❌ Not Here',
+  photoCount: '📷 Photos',
+  reportCount: '🚩 Reports',
+  deleted: 'Deleted',
+  hidden: 'Hidden',
+  mergedInto: 'Merged into',
+}
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return 'Just now'
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp)
+  return date.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+}
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (field === 'type') return deviceTypeLabels[value] || value
+  if (field === 'latitude' || field === 'longitude') return value.toFixed(6)
+  if (field === 'direction') return formatDirections(value)
+  if (field === 'fov') return `${Math.round(value)}°`
+  if (field === 'reportedBy') return value.isAnonymous ? 'guest' : 'account'
+  if (typeof value === 'boolean') return value ? 'yes' : 'no'
+  return String(value)
+}
+
+// Change log of a device, newest first, with revert for the owner
+function DeviceHistory({ device }) {
+  const { currentUser } = useAuth()
+  const [revisions, setRevisions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [revertingId, setRevertingId] = useState(null)
+
+  const deviceId = device.id
+  // Reload whenever the device changes, so new revisions show up
+  const updatedAtMillis = device.updatedAt?.toMillis?.() || 0
+
+  useEffect(() => {
+    let cancelled = false
+    getDeviceRevisions(deviceId)
+      .then((deviceRevisions) => {
+        if (!cancelled) {
+          setRevisions(deviceRevisions)
+        }
+      })
+      .catch(() => {
+        // History is secondary; the rest of the page still works without it
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [deviceId, updatedAtMillis])
+
+  const isOwner = Boolean(currentUser) && device.reportedBy?.uid === currentUser.uid
+
+  const handleRevert = async (revision) => {
+    if (!window.confirm('Restore the values this change replaced?')) {
+      return
+    }
+
+    setRevertingId(revision.id)
+    try {
+      await revertRevision(deviceId, revision, currentUser.uid)
+    } catch (error) {
+      console.error('Error reverting revision:', error)
+      alert(`Failed to revert: ${error.message || 'Please try again.'}`)
+    } finally {
+      setRevertingId(null)
+    }
+  }
+
+  if (loading) {
+    return <p className="text-sm text-gray-600">Loading history...</p>
+  }
+
+  if (revisions.length === 0) {
+    return <p className="text-sm text-gray-600">No recorded changes yet.</p>
+  }
+
+  return (
+    <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+      {revisions.map((revision) => {
+        const canRevert = isOwner && Object.keys(getRevertUpdates(revision)).length > 0
+
+        return (
+          <li key={revision.id} className="px-4 py-3 text-sm">
+            <div className="flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900">
+                  {ACTION_LABELS[revision.action] || revision.action}
+                  {revision.source === 'osm-import' && (
+                    <span className="ml-2 px-1.5 py-0.5 bg-gray-100 text-gray-600 text-xs rounded">OSM import</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatDate(revision.createdAt)}
+                  {' · '}
+                  {currentUser?.uid === revision.changedBy ? 'You' : `Contributor ${(revision.changedBy || '').slice(0, 6)}`}
+                </p>
+              </div>
+              {canRevert && (
+                <button
+                  type="button"
+                  onClick={() => handleRevert(revision)}
+                  disabled={revertingId !== null}
+                  className="px-3 py-1 bg-gray-100 text-gray-700 text-xs font-medium rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50 flex-shrink-0"
+                >
+                  {revertingId === revision.id ? 'Reverting...' : '↩ Revert'}
+                </button>
+              )}
+            </div>
+            {revision.action !== 'create' && (
+              <ul className="mt-1 text-xs text-gray-600 space-y-0.5">
+                {Object.entries(revision.changes || {}).map(([field, change]) => (
+                  <li key={field} className="break-words">
+                    {FIELD_LABELS[field] || field}: {formatValue(field, change.from)} → {formatValue(field, change.to)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+export default DeviceHistory
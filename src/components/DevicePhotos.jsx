@@ -0,0 +1,106 @@
+import { useState } from 'react'
+import { useAuth } from '../hooks/useAuth'
+import { addDevicePhoto, removeDevicePhoto, MAX_PHOTOS_PER_DEVICE } from '../firebase/services'
+import { preparePhoto } from '../utils/photoProcessing'
+import { formatTimeAgo } from '../utils/timeAgo'
+
+// Photo gallery of a device. With `editable`, signed-in users can add photos and
+// remove the ones they added; the device updates through its live subscription
+function DevicePhotos({ device, editable = false, size = 'large' }) {
+  const { currentUser } = useAuth()
+  const [uploadProgress, setUploadProgress] = useState(null)
+  const [removingId, setRemovingId] = useState(null)
+  const [error, setError] = useState('')
+
+  const photos = device.photos || []
+  const thumbnailClass = size === 'small' ? 'w-16 h-16' : 'w-28 h-28 sm:w-32 sm:h-32'
+  const canAdd = editable && currentUser && photos.length < MAX_PHOTOS_PER_DEVICE
+
+  const handleAdd = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file || !currentUser) return
+
+    setError('')
+    setUploadProgress(0)
+    try {
+      const photo = await preparePhoto(file)
+      await addDevicePhoto(device.id, photo, currentUser.uid, setUploadProgress)
+    } catch (err) {
+      setError(`Failed to add photo: ${err.message || 'Please try again.'}`)
+    } finally {
+      setUploadProgress(null)
+    }
+  }
+
+  const handleRemove = async (photo) => {
+    if (!window.confirm('Remove this photo?')) return
+
+    setRemovingId(photo.id)
+    setError('')
+    try {
+      await removeDevicePhoto(device.id, photo.id, currentUser.uid)
+    } catch (err) {
+      setError('Failed to remove photo. Please try again.')
+    } finally {
+      setRemovingId(null)
+    }
+  }
+
+  if (photos.length === 0 && !canAdd) {
+    return editable ? <p className="text-sm text-gray-600">No photos yet.</p> : null
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {photos.map(photo => (
+          <div key={photo.id} className="relative">
+            <a href={photo.url} target="_blank" rel="noopener noreferrer" title={`Added ${formatTimeAgo(photo.uploadedAt) || 'just now'}`}>
+              <img
+                src={photo.url}
+                alt="Photo of the device"
+                loading="lazy"
+                className={`${thumbnailClass} object-cover rounded-md border border-gray-200 hover:opacity-90`}
+              />
+            </a>
+            {editable && currentUser?.uid === photo.uploadedBy && (
+              <button
+                type="button"
+                onClick={() => handleRemove(photo)}
+                disabled={removingId === photo.id}
+                title="Remove your photo"
+                className="absolute top-1 right-1 w-6 h-6 bg-white bg-opacity-90 border border-gray-300 rounded-full text-xs text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        {canAdd && (
+          <label className={`${thumbnailClass} flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-md text-xs text-gray-600 ${
+            uploadProgress !== null ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50'
+          }`}>
+            <span className="text-xl">📷</span>
+            {uploadProgress !== null ? `Uploading ${Math.round(uploadProgress * 100)}%` : 'Add photo'}
+            <input
+              type="file"
+              accept="image/*"
+              onChange={handleAdd}
+              disabled={uploadProgress !== null}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+      {canAdd && (
+        <p className="mt-2 text-xs text-gray-500">
+          Location and camera details are removed from photos before upload.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default DevicePhotos
@@ -1,36 +1,72 @@
 import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
 import { useAuth } from '../hooks/useAuth'
-import { thumbsUpDevice, reportDeviceInactive } from '../firebase/services'
+import { confirmDevice, hasConfirmedDevice, reportDeviceInactive } from '../firebase/services'
+import { getConfirmationCount } from '../utils/deviceStatus'
+import { formatTimeAgo } from '../utils/timeAgo'
+import { formatDirections } from '../utils/direction'
+import DeviceSuggestions, { SuggestEditLink } from './DeviceSuggestions'
+import ReportDevice from './ReportDevice'
+import DeviceStatusNotice from './DeviceStatusNotice'
+import DevicePhotos from './DevicePhotos'
 
 function DevicePopup({ device, deviceTypeLabels }) {
   const { currentUser } = useAuth()
-  const [thumbsUp, setThumbsUp] = useState(device.thumbsUp || 0)
+  const [confirmationCount, setConfirmationCount] = useState(getConfirmationCount(device))
   const [inactiveReports, setInactiveReports] = useState(device.inactiveReports || 0)
-  const [hasThumbsUpped, setHasThumbsUpped] = useState(false)
+  const [hasConfirmed, setHasConfirmed] = useState(false)
   const [hasReportedInactive, setHasReportedInactive] = useState(false)
+  // Vote times feed the status; bumped locally when this user votes
+  const [lastConfirmedAt, setLastConfirmedAt] = useState(device.lastConfirmedAt || null)
+  const [lastInactiveReportAt, setLastInactiveReportAt] = useState(device.lastInactiveReportAt || null)
   const [isVoting, setIsVoting] = useState(false)
 
   useEffect(() => {
-    if (currentUser && device.thumbsUpUsers) {
-      setHasThumbsUpped(device.thumbsUpUsers.includes(currentUser.uid))
-    }
     if (currentUser && device.inactiveReportUsers) {
       setHasReportedInactive(device.inactiveReportUsers.includes(currentUser.uid))
     }
-    setThumbsUp(device.thumbsUp || 0)
+    setConfirmationCount(getConfirmationCount(device))
     setInactiveReports(device.inactiveReports || 0)
+    setLastConfirmedAt(device.lastConfirmedAt || null)
+    setLastInactiveReportAt(device.lastInactiveReportAt || null)
   }, [device, currentUser])
 
-  const handleThumbsUp = async () => {
+  // Confirmations live in a subcollection, so whether this user confirmed is a separate read
+  const deviceId = device.id
+  const userId = currentUser?.uid
+  useEffect(() => {
+    setHasConfirmed(false)
+    if (!userId) return
+
+    let cancelled = false
+    hasConfirmedDevice(deviceId, userId)
+      .then((confirmed) => {
+        if (!cancelled) {
+          setHasConfirmed(confirmed)
+        }
+      })
+      .catch(() => {
+        // The button still works; it just won't show as pressed
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [deviceId, userId])
+
+  const handleConfirm = async () => {
     if (!currentUser || isVoting) return
     
     setIsVoting(true)
     try {
-      const result = await thumbsUpDevice(device.id, currentUser.uid)
-      setThumbsUp(result.thumbsUp)
-      setHasThumbsUpped(result.action === 'added')
+      const result = await confirmDevice(device.id, currentUser.uid)
+      setConfirmationCount(result.confirmationCount)
+      setHasConfirmed(result.action === 'added')
+      if (result.action === 'added') {
+        setLastConfirmedAt(Date.now())
+      }
     } catch (error) {
-      console.error('Error thumbs upping:', error)
+      console.error('Error confirming device:', error)
       alert('Failed to update vote. Please try again.')
     } finally {
       setIsVoting(false)
@@ -45,6 +81,9 @@ function DevicePopup({ device, deviceTypeLabels }) {
       const result = await reportDeviceInactive(device.id, currentUser.uid)
       setInactiveReports(result.inactiveReports)
       setHasReportedInactive(result.action === 'added')
+      if (result.action === 'added') {
+        setLastInactiveReportAt(Date.now())
+      }
     } catch (error) {
       console.error('Error reporting inactive:', error)
       alert('Failed to report. Please try again.')
@@ -63,15 +102,14 @@ function DevicePopup({ device, deviceTypeLabels }) {
     })
   }
 
-  const isInactive = (inactiveReports || 0) > 0
+  const isOwner = Boolean(currentUser) && device.reportedBy?.uid === currentUser.uid
 
   return (
     <div className="min-w-[240px]">
-      {isInactive && (
-        <div className="mb-2 px-2 py-1 bg-yellow-100 border border-yellow-300 rounded text-xs text-yellow-800">
-          ⚠️ {inactiveReports} report{inactiveReports !== 1 ? 's' : ''} as inactive
-        </div>
-      )}
+      <DeviceStatusNotice
+        device={{ ...device, confirmationCount, inactiveReports, lastConfirmedAt, lastInactiveReportAt }}
+        className="mb-2 px-2 py-1 text-xs"
+      />
       
       <h3 className="font-semibold text-lg mb-2">
         {deviceTypeLabels[device.type] || 'Unknown Device'}
@@ -89,18 +127,27 @@ function DevicePopup({ device, deviceTypeLabels }) {
         </p>
       )}
       
+      {device.photos?.length > 0 && (
+        <div className="mb-3">
+          <DevicePhotos device={device} size="small" />
+        </div>
+      )}
+      
+      <DeviceSuggestions device={device} />
+      
       <div className="flex gap-2 mb-3">
         <button
-          onClick={handleThumbsUp}
+          onClick={handleConfirm}
           disabled={!currentUser || isVoting}
+          title="Still here"
           className={`flex items-center gap-1 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
-            hasThumbsUpped
+            hasConfirmed
               ? 'bg-blue-600 text-white'
               : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
           } disabled:opacity-50 disabled:cursor-not-allowed`}
         >
           <span>👍</span>
-          <span>{thumbsUp || 0}</span>
+          <span>{confirmationCount}</span>
         </button>
         
         <button
@@ -119,9 +166,29 @@ function DevicePopup({ device, deviceTypeLabels }) {
       
       <div className="text-xs text-gray-500 space-y-1 border-t pt-2">
         <p>Coordinates: {device.latitude.toFixed(6)}, {device.longitude.toFixed(6)}</p>
+        {device.direction != null && (
+          <p>Facing: {formatDirections(device.direction)}{device.fov != null && `, ${Math.round(device.fov)}° wide`}</p>
+        )}
         {device.createdAt && (
           <p>Reported: {formatDate(device.createdAt)}</p>
         )}
+        {lastConfirmedAt ? (
+          <p>Last confirmed {formatTimeAgo(lastConfirmedAt)}</p>
+        ) : confirmationCount === 0 && (
+          <p>Not confirmed yet</p>
+        )}
+        <p className="flex gap-3">
+          <Link to={`/devices/${device.id}`} className="text-blue-600 hover:text-blue-800 underline">
+            View details →
+          </Link>
+          {isOwner && (
+            <Link to={`/devices/${device.id}/edit`} className="text-blue-600 hover:text-blue-800 underline">
+              ✏️ Edit
+            </Link>
+          )}
+          <SuggestEditLink device={device} className="text-blue-600 hover:text-blue-800 underline" />
+        </p>
+        {!isOwner && <ReportDevice device={device} />}
       </div>
     </div>
   )
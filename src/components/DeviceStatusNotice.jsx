@@ -0,0 +1,49 @@
+import { getDeviceStatus, getConfirmationCount } from '../utils/deviceStatus'
+import { getTimestampMillis } from '../utils/indexedDB'
+
+const STATUS_STYLES = {
+  disputed: 'bg-yellow-100 border-yellow-300 text-yellow-800',
+  likely_removed: 'bg-orange-100 border-orange-300 text-orange-800',
+  removed: 'bg-gray-100 border-gray-300 text-gray-700',
+}
+
+const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`
+
+const formatDate = (timestamp) => {
+  const millis = getTimestampMillis(timestamp)
+  if (!millis) return null
+  return new Date(millis).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  })
+}
+
+// Banner explaining a device's status; nothing is shown for active devices
+function DeviceStatusNotice({ device, className = '' }) {
+  const status = getDeviceStatus(device)
+  if (status === 'active') {
+    return null
+  }
+
+  const reports = device.inactiveReports || 0
+  const confirmations = getConfirmationCount(device)
+  const lastReportDate = formatDate(device.lastInactiveReportAt)
+
+  let message
+  if (status === 'disputed') {
+    message = `⚠️ Disputed: ${plural(reports, 'report')} that it's gone, ${plural(confirmations, 'confirmation')} that it's here`
+  } else if (status === 'likely_removed') {
+    message = `❓ Likely removed: ${plural(reports, 'report')} that it's gone, ${plural(confirmations, 'confirmation')} that it's here`
+  } else {
+    message = `🚫 Removed: reported gone${lastReportDate ? ` on ${lastReportDate}` : ''} and not confirmed since`
+  }
+
+  return (
+    <div className={`border rounded ${STATUS_STYLES[status]} ${className}`}>
+      {message}
+    </div>
+  )
+}
+
+export default DeviceStatusNotice
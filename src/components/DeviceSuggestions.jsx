@@ -0,0 +1,212 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import {
+  getPendingSuggestions,
+  confirmSuggestion,
+  applySuggestion,
+  rejectSuggestion,
+  SUGGESTION_CONFIRMATION_THRESHOLD,
+} from '../firebase/services'
+import { deviceTypeLabels } from '../utils/mapIcons'
+import { distanceInMeters } from '../utils/geohash'
+import { formatDirections } from '../utils/direction'
+
+// One line per proposed change, compared against the device's current values
+const describeChanges = (device, changes) => {
+  const lines = []
+  if ('type' in changes) {
+    lines.push(`Type: ${deviceTypeLabels[device.type] || device.type} → ${deviceTypeLabels[changes.type] || changes.type}`)
+  }
+  if ('latitude' in changes) {
+    const moved = distanceInMeters(device.latitude, device.longitude, changes.latitude, changes.longitude)
+    lines.push(`Move ${moved < 1000 ? `${Math.round(moved)} m` : `${(moved / 1000).toFixed(1)} km`}`)
+  }
+  if ('description' in changes) {
+    lines.push(changes.description ? `Description: "${changes.description}"` : 'Remove description')
+  }
+  if ('direction' in changes) {
+    lines.push(changes.direction != null ? `Facing ${formatDirections(changes.direction)}` : 'Remove direction')
+  }
+  if ('fov' in changes) {
+    lines.push(changes.fov != null ? `Field of view ${Math.round(changes.fov)}°` : 'Remove field of view')
+  }
+  return lines
+}
+
+// Pending edit suggestions for a device, with confirm (other users) or apply/reject (owner)
+function DeviceSuggestions({ device }) {
+  const { currentUser } = useAuth()
+  const [suggestions, setSuggestions] = useState([])
+  const [busyId, setBusyId] = useState(null)
+
+  const deviceId = device.id
+  const appliedSuggestionId = device.appliedSuggestionId
+
+  useEffect(() => {
+    let cancelled = false
+    getPendingSuggestions(deviceId)
+      .then((pending) => {
+        if (!cancelled) {
+          // A suggestion the device already carries just hasn't been marked applied yet
+          setSuggestions(pending.filter(suggestion => suggestion.id !== appliedSuggestionId))
+        }
+      })
+      .catch(() => {
+        // Suggestions are secondary; the device is still shown without them
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [deviceId, appliedSuggestionId])
+
+  const isOwner = Boolean(currentUser) && device.reportedBy?.uid === currentUser.uid
+
+  const removeSuggestion = (suggestionId) => {
+    setSuggestions(prev => prev.filter(suggestion => suggestion.id !== suggestionId))
+  }
+
+  const handleConfirm = async (suggestion) => {
+    if (!currentUser || busyId) return
+
+    setBusyId(suggestion.id)
+    try {
+      const result = await confirmSuggestion(deviceId, suggestion.id, currentUser.uid)
+      // Recorded first, so a failed apply below leaves it ready for anyone to apply
+      setSuggestions(prev => prev.map(s => s.id === suggestion.id
+        ? { ...s, confirmations: result.confirmations, confirmedBy: [...(s.confirmedBy || []), currentUser.uid] }
+        : s))
+      if (result.confirmations >= SUGGESTION_CONFIRMATION_THRESHOLD) {
+        await applySuggestion(deviceId, suggestion, currentUser.uid)
+        removeSuggestion(suggestion.id)
+      }
+    } catch (error) {
+      console.error('Error confirming suggestion:', error)
+      alert('Failed to confirm suggestion. Please try again.')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleApply = async (suggestion) => {
+    if (!currentUser || busyId) return
+
+    setBusyId(suggestion.id)
+    try {
+      await applySuggestion(deviceId, suggestion, currentUser.uid)
+      removeSuggestion(suggestion.id)
+    } catch (error) {
+      console.error('Error applying suggestion:', error)
+      alert('Failed to apply suggestion. Please try again.')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleReject = async (suggestion) => {
+    if (!currentUser || busyId) return
+
+    setBusyId(suggestion.id)
+    try {
+      await rejectSuggestion(deviceId, suggestion.id, currentUser.uid)
+      removeSuggestion(suggestion.id)
+    } catch (error) {
+      console.error('Error rejecting suggestion:', error)
+      alert('Failed to reject suggestion. Please try again.')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (suggestions.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="mb-3 border border-blue-200 bg-blue-50 rounded-md p-2">
+      <p className="text-xs font-semibold text-blue-900 mb-1">
+        ✏️ {suggestions.length} suggested edit{suggestions.length !== 1 ? 's' : ''}
+      </p>
+      <ul className="space-y-2">
+        {suggestions.map((suggestion) => {
+          const isSuggester = currentUser?.uid === suggestion.suggestedBy?.uid
+          const hasConfirmed = Boolean(currentUser) && (suggestion.confirmedBy || []).includes(currentUser.uid)
+          const isBusy = busyId === suggestion.id
+
+          return (
+            <li key={suggestion.id} className="text-xs text-gray-700 border-t border-blue-100 pt-1 first:border-t-0 first:pt-0">
+              {describeChanges(device, suggestion.changes || {}).map(line => (
+                <p key={line}>{line}</p>
+              ))}
+              {suggestion.reason && (
+                <p className="text-gray-500 italic">&ldquo;{suggestion.reason}&rdquo;</p>
+              )}
+              <div className="flex items-center gap-2 mt-1">
+                <span className="text-gray-500">
+                  {suggestion.confirmations || 0}/{SUGGESTION_CONFIRMATION_THRESHOLD} confirmations
+                </span>
+                {isOwner ? (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => handleApply(suggestion)}
+                      disabled={isBusy}
+                      className="px-2 py-0.5 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Apply
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleReject(suggestion)}
+                      disabled={isBusy}
+                      className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50"
+                    >
+                      Reject
+                    </button>
+                  </>
+                ) : currentUser && (suggestion.confirmations || 0) >= SUGGESTION_CONFIRMATION_THRESHOLD ? (
+                  // Confirmed enough but not applied yet (the last confirmer's apply failed)
+                  <button
+                    type="button"
+                    onClick={() => handleApply(suggestion)}
+                    disabled={isBusy}
+                    className="px-2 py-0.5 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Apply
+                  </button>
+                ) : currentUser && !isSuggester && (
+                  <button
+                    type="button"
+                    onClick={() => handleConfirm(suggestion)}
+                    disabled={isBusy || hasConfirmed}
+                    className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {hasConfirmed ? '✓ Confirmed' : '👍 Confirm'}
+                  </button>
+                )}
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+// Link to the suggestion form, for signed-in users who don't own the device
+export function SuggestEditLink({ device, className }) {
+  const { currentUser } = useAuth()
+
+  if (!currentUser || device.reportedBy?.uid === currentUser.uid) {
+    return null
+  }
+
+  return (
+    <Link to={`/devices/${device.id}/suggest`} className={className}>
+      ✏️ Suggest edit
+    </Link>
+  )
+}
+
+export default DeviceSuggestions
@@ -3,7 +3,7 @@ import { Link } from 'react-router-dom'
 import { useAuth } from '../hooks/useAuth'
 
 function Header() {
-  const { currentUser } = useAuth()
+  const { currentUser, isModerator } = useAuth()
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
 
   return (
@@ -41,13 +41,27 @@ function Header() {
               Privacy
             </Link>
             {currentUser && (
-              <div className="flex items-center gap-2 text-xs lg:text-sm text-gray-600 ml-2">
+              <Link to="/my-submissions" className="text-gray-700 hover:text-gray-900 font-medium text-sm lg:text-base">
+                My Submissions
+              </Link>
+            )}
+            {isModerator && (
+              <Link to="/moderation" className="text-gray-700 hover:text-gray-900 font-medium text-sm lg:text-base">
+                Moderation
+              </Link>
+            )}
+            {currentUser && (
+              <Link
+                to="/account"
+                className="flex items-center gap-2 text-xs lg:text-sm text-gray-600 hover:text-gray-900 ml-2"
+                title={currentUser.isAnonymous ? 'Sign in or create an account' : 'Account'}
+              >
                 <span className="w-2 h-2 bg-green-500 rounded-full"></span>
                 <span className="hidden lg:inline">
-                  {currentUser.isAnonymous ? 'Guest' : currentUser.email || 'Signed in'}
+                  {currentUser.isAnonymous ? 'Guest · Sign in' : currentUser.email || 'Signed in'}
                 </span>
-                <span className="lg:hidden">Guest</span>
-              </div>
+                <span className="lg:hidden">{currentUser.isAnonymous ? 'Sign in' : 'Account'}</span>
+              </Link>
             )}
           </div>
 
@@ -115,10 +129,32 @@ function Header() {
                 Privacy
               </Link>
               {currentUser && (
-                <div className="flex items-center gap-2 text-sm text-gray-600 pt-2 px-2 border-t border-gray-100">
+                <Link
+                  to="/my-submissions"
+                  className="text-gray-700 hover:text-gray-900 font-medium py-2 px-2 rounded-md hover:bg-gray-50"
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  My Submissions
+                </Link>
+              )}
+              {isModerator && (
+                <Link
+                  to="/moderation"
+                  className="text-gray-700 hover:text-gray-900 font-medium py-2 px-2 rounded-md hover:bg-gray-50"
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  Moderation
+                </Link>
+              )}
+              {currentUser && (
+                <Link
+                  to="/account"
+                  className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900 pt-2 px-2 border-t border-gray-100"
+                  onClick={() => setMobileMenuOpen(false)}
+                >
                   <span className="w-2 h-2 bg-green-500 rounded-full"></span>
-                  <span>{currentUser.isAnonymous ? 'Guest' : currentUser.email || 'Signed in'}</span>
-                </div>
+                  <span>{currentUser.isAnonymous ? 'Guest · Sign in' : currentUser.email || 'Signed in'}</span>
+                </Link>
               )}
             </div>
           </div>
@@ -1,7 +1,9 @@
-import { useEffect, useState } from 'react'
-import { MapContainer, TileLayer, Marker, useMapEvents, useMap } from 'react-leaflet'
+import { Fragment, useEffect, useState } from 'react'
+import { MapContainer, TileLayer, Marker, Polygon, useMapEvents, useMap } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
+import { bearingBetween, destinationPoint } from '../utils/geohash'
+import { MAX_DIRECTIONS, VIEW_CONE_PIXELS, getViewConePoints, metersPerPixel, toCompassPoint } from '../utils/direction'
 
 // Fix for default marker icons in React-Leaflet
 delete L.Icon.Default.prototype._getIconUrl
@@ -33,6 +35,61 @@ const selectedIcon = L.divIcon({
   popupAnchor: [0, -48],
 })
 
+// Round handle at the tip of a view cone, dragged to rotate it
+const directionHandleIcon = L.divIcon({
+  className: 'direction-handle-icon',
+  html: '<div style="width:16px;height:16px;border-radius:9999px;background:#2563EB;border:2px solid white;box-shadow:0 1px 3px rgba(0,0,0,0.4);cursor:grab"></div>',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8],
+})
+
+// View cones around the selected location, each with a drag handle when editable
+function DirectionCones({ center, directions, fov, onDirectionsChange }) {
+  const map = useMap()
+  const [zoom, setZoom] = useState(() => map.getZoom())
+  // Bearing of the cone being dragged; committed on drop, so the handle isn't moved under the cursor
+  const [dragPreview, setDragPreview] = useState(null)
+
+  useMapEvents({
+    zoomend: () => setZoom(map.getZoom()),
+  })
+
+  // Twice the map's cone length, so there is room to grab the handle
+  const length = 2 * VIEW_CONE_PIXELS * metersPerPixel(center[0], zoom)
+  const bearingTo = (latlng) => Math.round(bearingBetween(center[0], center[1], latlng.lat, latlng.lng)) % 360
+
+  return directions.map((bearing, index) => {
+    const shownBearing = dragPreview?.index === index ? dragPreview.bearing : bearing
+
+    return (
+      <Fragment key={index}>
+        <Polygon
+          positions={getViewConePoints(center[0], center[1], shownBearing, fov, length)}
+          pathOptions={{ color: '#2563EB', weight: 1, fillOpacity: 0.2 }}
+          interactive={false}
+        />
+        {onDirectionsChange && (
+          <Marker
+            position={destinationPoint(center[0], center[1], bearing, length)}
+            icon={directionHandleIcon}
+            draggable
+            title="Drag to rotate"
+            eventHandlers={{
+              drag: (e) => setDragPreview({ index, bearing: bearingTo(e.target.getLatLng()) }),
+              dragend: (e) => {
+                const next = [...directions]
+                next[index] = bearingTo(e.target.getLatLng())
+                setDragPreview(null)
+                onDirectionsChange(next)
+              },
+            }}
+          />
+        )}
+      </Fragment>
+    )
+  })
+}
+
 // Component to handle map click events
 function MapClickHandler({ onLocationSelect }) {
   useMapEvents({
@@ -55,7 +112,22 @@ function CenterMap({ center }) {
   return null
 }
 
-function MapPicker({ latitude, longitude, onLocationChange, onGetCurrentLocation }) {
+// readOnly shows the location without letting it be changed (e.g. on the device page)
+// markers are extra {id, latitude, longitude, icon, title} pins drawn around the selected location
+// directions/fov draw view cones at the selected location; with onDirectionsChange they can be
+// added, removed and rotated
+function MapPicker({
+  latitude,
+  longitude,
+  onLocationChange,
+  onGetCurrentLocation,
+  readOnly = false,
+  height = 400,
+  markers = [],
+  directions = [],
+  fov = null,
+  onDirectionsChange = null,
+}) {
   const [userLocation, setUserLocation] = useState(null)
   const [selectedLocation, setSelectedLocation] = useState(
     latitude && longitude ? [latitude, longitude] : null
@@ -101,27 +173,43 @@ function MapPicker({ latitude, longitude, onLocationChange, onGetCurrentLocation
     )
   }
 
+  const canEditDirections = !readOnly && Boolean(onDirectionsChange)
+
+  const handleAddDirection = () => {
+    // A second head usually faces the other way
+    const bearing = directions.length > 0 ? (directions[directions.length - 1] + 180) % 360 : 0
+    onDirectionsChange([...directions, bearing])
+  }
+
+  const handleDirectionSlide = (index, bearing) => {
+    const next = [...directions]
+    next[index] = bearing
+    onDirectionsChange(next)
+  }
+
   // Default center (can be changed to a default location)
   const defaultCenter = [40.7128, -74.0060] // New York City
   const mapCenter = selectedLocation || userLocation || defaultCenter
 
   return (
     <div className="w-full">
-      <div className="mb-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
-        <p className="text-sm text-gray-600">
-          Click on the map to set location, or use your current location
-        </p>
-        <button
-          type="button"
-          onClick={handleGetCurrentLocation}
-          className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors flex items-center justify-center gap-2 whitespace-nowrap"
-        >
-          <span>📍</span>
-          Use My Location
-        </button>
-      </div>
+      {!readOnly && (
+        <div className="mb-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+          <p className="text-sm text-gray-600">
+            Click on the map to set location, or use your current location
+          </p>
+          <button
+            type="button"
+            onClick={handleGetCurrentLocation}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors flex items-center justify-center gap-2 whitespace-nowrap"
+          >
+            <span>📍</span>
+            Use My Location
+          </button>
+        </div>
+      )}
       
-      <div className="border border-gray-300 rounded-md overflow-hidden" style={{ height: '400px' }}>
+      <div className="border border-gray-300 rounded-md overflow-hidden" style={{ height: `${height}px` }}>
         <MapContainer
           center={mapCenter}
           zoom={selectedLocation ? 15 : 10}
@@ -141,6 +229,15 @@ function MapPicker({ latitude, longitude, onLocationChange, onGetCurrentLocation
             />
           )}
           
+          {markers.map((marker) => (
+            <Marker
+              key={marker.id}
+              position={[marker.latitude, marker.longitude]}
+              icon={marker.icon}
+              title={marker.title}
+            />
+          ))}
+          
           {selectedLocation && (
             <Marker 
               position={selectedLocation} 
@@ -149,16 +246,64 @@ function MapPicker({ latitude, longitude, onLocationChange, onGetCurrentLocation
             />
           )}
           
-          <MapClickHandler onLocationSelect={handleMapClick} />
+          {selectedLocation && directions.length > 0 && (
+            <DirectionCones
+              center={selectedLocation}
+              directions={directions}
+              fov={fov}
+              onDirectionsChange={canEditDirections ? onDirectionsChange : null}
+            />
+          )}
+          
+          {!readOnly && <MapClickHandler onLocationSelect={handleMapClick} />}
           {selectedLocation && <CenterMap center={selectedLocation} />}
         </MapContainer>
       </div>
       
-      {selectedLocation && (
+      {selectedLocation && !readOnly && (
         <div className="mt-2 text-sm text-gray-600">
           Selected: {selectedLocation[0].toFixed(6)}, {selectedLocation[1].toFixed(6)}
         </div>
       )}
+
+      {selectedLocation && canEditDirections && (
+        <div className="mt-3 space-y-2">
+          {directions.map((bearing, index) => (
+            <div key={index} className="flex items-center gap-3 text-sm">
+              <span className="w-24 text-gray-700">Facing {Math.round(bearing)}° {toCompassPoint(bearing)}</span>
+              <input
+                type="range"
+                min="0"
+                max="359"
+                value={Math.round(bearing)}
+                onChange={(e) => handleDirectionSlide(index, Number(e.target.value))}
+                aria-label={`Direction ${index + 1}`}
+                className="flex-1"
+              />
+              <button
+                type="button"
+                onClick={() => onDirectionsChange(directions.filter((_, i) => i !== index))}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Remove direction ${index + 1}`}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          {directions.length < MAX_DIRECTIONS && (
+            <button
+              type="button"
+              onClick={handleAddDirection}
+              className="text-sm text-blue-600 hover:text-blue-800 underline"
+            >
+              {directions.length === 0 ? '🧭 Add the direction it faces' : '➕ Add another direction'}
+            </button>
+          )}
+          {directions.length > 0 && (
+            <p className="text-xs text-gray-500">Drag the blue handle on the map or use the slider to point the camera.</p>
+          )}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,240 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import { getDevice, mergeDevices, mergeOwnDevice, combineMergePhotos, MAX_PHOTOS_PER_DEVICE } from '../firebase/services'
+import { findPossibleDuplicates } from '../utils/duplicateCheck'
+import { deviceTypeLabels } from '../utils/mapIcons'
+import { getConfirmationCount } from '../utils/deviceStatus'
+import MergePhotoChooser from './MergePhotoChooser'
+
+// Merge a device with a duplicate of it. Owners can merge their own submission
+// into another device (or another of theirs into this one); moderators can merge
+// any pair, and the merge is logged. The merged device redirects to the one kept
+function MergeDevicePanel({ device }) {
+  const { currentUser, isModerator } = useAuth()
+  const [candidates, setCandidates] = useState(null)
+  const [lookupId, setLookupId] = useState('')
+  const [searching, setSearching] = useState(false)
+  const [merging, setMerging] = useState(false)
+  const [message, setMessage] = useState(null)
+  // Moderator merge waiting for a choice of photos: {source, target, reason, photos}
+  const [pendingMerge, setPendingMerge] = useState(null)
+
+  const ownsDevice = (other) => other.reportedBy?.uid === currentUser?.uid
+
+  const addCandidates = (found) => {
+    setCandidates(prev => [
+      ...(prev || []),
+      ...found.filter(other => other.id !== device.id && !(prev || []).some(existing => existing.id === other.id)),
+    ])
+  }
+
+  const handleFindNearby = async () => {
+    setSearching(true)
+    setMessage(null)
+    try {
+      addCandidates(await findPossibleDuplicates(device.latitude, device.longitude, device.type))
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to look for duplicates. Please try again.' })
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  const handleLookup = async (e) => {
+    e.preventDefault()
+    // Accept a pasted device link as well as a bare ID
+    const id = lookupId.trim().split('/').filter(Boolean).pop()
+    if (!id) return
+
+    setSearching(true)
+    setMessage(null)
+    try {
+      const other = await getDevice(id)
+      if (!other || other.id === device.id) {
+        setMessage({ type: 'error', text: 'No other device with that ID.' })
+        return
+      }
+      addCandidates([other])
+      setLookupId('')
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to look up the device. Please try again.' })
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  // The source becomes a redirect to the target, which takes its votes, photos and details
+  const handleMerge = async (source, target) => {
+    const label = (d) => (d.id === device.id ? 'this device' : `device ${d.id}`)
+    if (!window.confirm(`Merge ${label(source)} into ${label(target)}? Its confirmations, reports, photos and details move over, and its link will redirect.`)) {
+      return
+    }
+
+    let reason = null
+    if (isModerator) {
+      reason = window.prompt('Reason for this merge (optional):', 'Duplicate')
+      if (reason === null) return
+    }
+
+    const photos = combineMergePhotos(target, source)
+    if (photos.length > MAX_PHOTOS_PER_DEVICE) {
+      if (isModerator) {
+        setPendingMerge({ source, target, reason, photos })
+      } else {
+        setMessage({
+          type: 'error',
+          text: `Together these devices have ${photos.length} photos, more than the ${MAX_PHOTOS_PER_DEVICE} a device can have. Remove some of yours first, or report the duplicate so a moderator can merge it.`,
+        })
+      }
+      return
+    }
+
+    await runMerge(source, target, reason, null)
+  }
+
+  const runMerge = async (source, target, reason, keepPhotoIds) => {
+    setMerging(true)
+    setMessage(null)
+    try {
+      if (isModerator) {
+        await mergeDevices(source.id, target.id, currentUser.uid, reason.trim(), keepPhotoIds)
+      } else {
+        await mergeOwnDevice(source.id, target.id, currentUser.uid)
+      }
+      // Merging this device away redirects the page through its subscription
+      setCandidates(prev => prev.filter(other => other.id !== source.id))
+      setPendingMerge(null)
+      setMessage({ type: 'success', text: 'Devices merged.' })
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to merge: ${error.message || 'Please try again.'}` })
+    } finally {
+      setMerging(false)
+    }
+  }
+
+  // Merging the same pair again copies any confirmations an interrupted merge left behind
+  const handleFinishLastMerge = async () => {
+    setMerging(true)
+    setMessage(null)
+    try {
+      await mergeDevices(device.lastMergedFrom, device.id, currentUser.uid)
+      setMessage({ type: 'success', text: 'Last merge finished.' })
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to finish the merge: ${error.message || 'Please try again.'}` })
+    } finally {
+      setMerging(false)
+    }
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 text-sm">
+      <p className="text-gray-600 mb-3">
+        If this device was reported more than once, merge the copies so votes and photos are in one place.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <button
+          type="button"
+          onClick={handleFindNearby}
+          disabled={searching || merging}
+          className="px-3 py-1.5 bg-gray-100 text-gray-700 font-medium rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+        >
+          {searching ? 'Searching...' : '🔍 Find duplicates nearby'}
+        </button>
+        <form onSubmit={handleLookup} className="flex gap-2">
+          <input
+            type="text"
+            value={lookupId}
+            onChange={(e) => setLookupId(e.target.value)}
+            placeholder="Or enter a device ID"
+            className="px-3 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={searching || merging || !lookupId.trim()}
+            className="px-3 py-1.5 bg-gray-100 text-gray-700 font-medium rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+          >
+            Look up
+          </button>
+        </form>
+      </div>
+
+      {message && (
+        <p className={`mb-3 ${message.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>{message.text}</p>
+      )}
+
+      {pendingMerge && (
+        <div className="mb-3">
+          <MergePhotoChooser
+            photos={pendingMerge.photos}
+            max={MAX_PHOTOS_PER_DEVICE}
+            busy={merging}
+            onConfirm={(keepPhotoIds) => runMerge(pendingMerge.source, pendingMerge.target, pendingMerge.reason, keepPhotoIds)}
+            onCancel={() => setPendingMerge(null)}
+          />
+        </div>
+      )}
+
+      {candidates && (candidates.length === 0 ? (
+        <p className="text-gray-600">No possible duplicates found nearby.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {candidates.map(other => (
+            <li key={other.id} className="p-3 flex flex-col sm:flex-row sm:items-center gap-2">
+              <div className="min-w-0 flex-1">
+                <Link to={`/devices/${other.id}`} className="font-medium text-gray-900 hover:text-blue-600">
+                  {deviceTypeLabels[other.type] || 'Device'}
+                </Link>
+                <span className="text-gray-500">
+                  {other.distance != null && ` · ${Math.round(other.distance)} m away`}
+                  {' · '}👍 {getConfirmationCount(other)}
+                  {other.photos?.length > 0 && ` · 📷 ${other.photos.length}`}
+                </span>
+                <p className="text-xs text-gray-500 truncate">{other.address || other.description || other.id}</p>
+              </div>
+              <div className="flex flex-wrap gap-2 flex-shrink-0">
+                {(isModerator || ownsDevice(other)) && (
+                  <button
+                    type="button"
+                    onClick={() => handleMerge(other, device)}
+                    disabled={merging || pendingMerge !== null}
+                    className="px-3 py-1.5 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+                  >
+                    Merge into this one
+                  </button>
+                )}
+                {(isModerator || ownsDevice(device)) && (
+                  <button
+                    type="button"
+                    onClick={() => handleMerge(device, other)}
+                    disabled={merging || pendingMerge !== null}
+                    className="px-3 py-1.5 bg-gray-100 text-gray-700 font-medium rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+                  >
+                    Merge this one into it
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      ))}
+
+      {isModerator && device.lastMergedFrom && (
+        <p className="mt-3 text-xs text-gray-500">
+          Confirmations missing after a merge into this device?{' '}
+          <button
+            type="button"
+            onClick={handleFinishLastMerge}
+            disabled={merging}
+            className="text-blue-600 hover:text-blue-800 underline disabled:opacity-50"
+          >
+            Finish the last merge
+          </button>
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default MergeDevicePanel
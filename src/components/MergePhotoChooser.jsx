@@ -0,0 +1,64 @@
+import { useState } from 'react'
+
+// Pick which photos survive a merge when the two devices have more than `max`
+// together. The kept device's photos come first and start selected
+function MergePhotoChooser({ photos, max, busy = false, onConfirm, onCancel }) {
+  const [selectedIds, setSelectedIds] = useState(() => photos.slice(0, max).map(photo => photo.id))
+
+  const toggle = (photoId) => {
+    setSelectedIds(prev => (
+      prev.includes(photoId) ? prev.filter(id => id !== photoId) : [...prev, photoId]
+    ))
+  }
+
+  return (
+    <div className="p-3 bg-yellow-50 border border-yellow-300 rounded-md text-sm">
+      <p className="text-gray-800 mb-2">
+        Together these devices have {photos.length} photos, but a device can have {max}.
+        Choose the ones to keep; the others are deleted.
+      </p>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {photos.map((photo) => {
+          const selected = selectedIds.includes(photo.id)
+          return (
+            <button
+              key={photo.id}
+              type="button"
+              onClick={() => toggle(photo.id)}
+              aria-pressed={selected}
+              className={`relative rounded-md border-2 ${selected ? 'border-blue-600' : 'border-transparent opacity-50'}`}
+            >
+              <img src={photo.url} alt="Photo of the device" loading="lazy" className="w-16 h-16 object-cover rounded" />
+              {selected && (
+                <span className="absolute top-0.5 right-0.5 w-5 h-5 bg-blue-600 text-white text-xs rounded-full">✓</span>
+              )}
+            </button>
+          )
+        })}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => onConfirm(selectedIds)}
+          disabled={busy || selectedIds.length > max}
+          className="px-3 py-1.5 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          Merge, keeping {selectedIds.length} photo{selectedIds.length !== 1 ? 's' : ''}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={busy}
+          className="px-3 py-1.5 text-gray-600 hover:text-gray-900 underline disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        {selectedIds.length > max && (
+          <span className="text-xs text-red-600">Deselect {selectedIds.length - max} more.</span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MergePhotoChooser
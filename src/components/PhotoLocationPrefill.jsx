@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import { readPhotoLocation } from '../utils/exif'
+import { formatDirections, normalizeBearing } from '../utils/direction'
+
+// Fill in the location (and direction) from a photo of the device. The photo's
+// EXIF is read in the browser; neither the file nor its metadata is uploaded.
+// onLocationChange(lat, lng, direction) matches Submit's handleLocationChange;
+// with onAttach, the photo can also be added to the submission's photos
+function PhotoLocationPrefill({ onLocationChange, onAttach = null }) {
+  const [file, setFile] = useState(null)
+  const [extracted, setExtracted] = useState(null)
+  const [reading, setReading] = useState(false)
+  const [error, setError] = useState('')
+  const [attached, setAttached] = useState(false)
+
+  const handleFile = async (e) => {
+    const picked = e.target.files?.[0]
+    e.target.value = ''
+    if (!picked) return
+
+    setReading(true)
+    setError('')
+    setExtracted(null)
+    setAttached(false)
+    try {
+      const location = await readPhotoLocation(picked)
+      if (location.latitude === null) {
+        setError('This photo has no location data. Location tagging may be off in the camera settings, or it was removed when the photo was shared.')
+        return
+      }
+
+      // A camera usually faces back toward whoever photographed it, so the
+      // device gets the opposite of the photo's heading
+      const direction = location.heading !== null ? [normalizeBearing(location.heading + 180)] : null
+      onLocationChange(location.latitude, location.longitude, direction)
+      setFile(picked)
+      setExtracted({ ...location, direction })
+    } catch (err) {
+      setError('Could not read this photo.')
+      console.error('Error reading photo location:', err)
+    } finally {
+      setReading(false)
+    }
+  }
+
+  const handleAttach = () => {
+    onAttach(file)
+    setAttached(true)
+  }
+
+  return (
+    <div>
+      <label className={`inline-flex items-center gap-1 px-3 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-md ${
+        reading ? 'opacity-50' : 'cursor-pointer hover:bg-gray-200'
+      }`}>
+        📷 {reading ? 'Reading photo...' : 'Use location from a photo'}
+        <input type="file" accept="image/jpeg" onChange={handleFile} disabled={reading} className="hidden" />
+      </label>
+
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+
+      {extracted && (
+        <div className="mt-2 p-3 bg-blue-50 border border-blue-200 rounded-md text-xs text-gray-700 space-y-1">
+          <p><strong>From {file.name}:</strong> {extracted.latitude.toFixed(6)}, {extracted.longitude.toFixed(6)}</p>
+          {extracted.takenAt && (
+            <p>Taken {extracted.takenAt.toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</p>
+          )}
+          {extracted.direction ? (
+            <p>
+              Photo taken facing {formatDirections(extracted.heading)}
+              {extracted.headingRef === 'M' && ' (magnetic north)'}, so the device is set to face {formatDirections(extracted.direction)}.
+              Adjust it on the map if that&apos;s wrong.
+            </p>
+          ) : (
+            <p>No compass heading in the photo; set the direction on the map if you know it.</p>
+          )}
+          <p className="text-gray-500">Read on your device only. Move the pin if you took the photo from a distance.</p>
+          {onAttach && (
+            <button
+              type="button"
+              onClick={handleAttach}
+              disabled={attached}
+              className="text-blue-600 hover:text-blue-800 underline disabled:text-gray-500 disabled:no-underline"
+            >
+              {attached ? '✓ Added to photos (without its metadata)' : 'Also attach this photo (without its metadata)'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PhotoLocationPrefill
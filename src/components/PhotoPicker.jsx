@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react'
+import { preparePhoto } from '../utils/photoProcessing'
+
+// Preview of a prepared photo; the object URL lives only as long as the thumbnail
+function PhotoThumbnail({ blob, onRemove }) {
+  const [url, setUrl] = useState(null)
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(blob)
+    setUrl(objectUrl)
+    return () => URL.revokeObjectURL(objectUrl)
+  }, [blob])
+
+  return (
+    <div className="relative w-20 h-20">
+      {url && <img src={url} alt="Photo to upload" className="w-20 h-20 object-cover rounded-md border border-gray-200" />}
+      <button
+        type="button"
+        onClick={onRemove}
+        title="Remove photo"
+        className="absolute -top-2 -right-2 w-6 h-6 bg-white border border-gray-300 rounded-full text-xs text-gray-700 hover:bg-gray-100"
+      >
+        ✕
+      </button>
+    </div>
+  )
+}
+
+// Pick photos to attach to a device. Each one is resized and stripped of its
+// metadata (including GPS) as soon as it's picked; `photos` holds the results
+function PhotoPicker({ photos, onChange, max, disabled = false }) {
+  const [processing, setProcessing] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, max - photos.length)
+    // Let the same file be picked again after it's removed
+    e.target.value = ''
+    if (files.length === 0) return
+
+    setProcessing(true)
+    setError('')
+    const prepared = []
+    for (const file of files) {
+      try {
+        prepared.push(await preparePhoto(file))
+      } catch (err) {
+        setError(`Couldn't use ${file.name}: ${err.message}`)
+      }
+    }
+    onChange([...photos, ...prepared])
+    setProcessing(false)
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 items-center">
+        {photos.map((photo, index) => (
+          <PhotoThumbnail
+            key={index}
+            blob={photo.blob}
+            onRemove={() => onChange(photos.filter((_, i) => i !== index))}
+          />
+        ))}
+        {photos.length < max && (
+          <label className={`w-20 h-20 flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-md text-xs text-gray-600 ${
+            disabled || processing ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50'
+          }`}>
+            <span className="text-xl">📷</span>
+            {processing ? 'Preparing...' : 'Add photo'}
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={handleFiles}
+              disabled={disabled || processing}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+      <p className="mt-2 text-xs text-gray-500">
+        Up to {max} photos. Location and camera details are removed before upload.
+      </p>
+    </div>
+  )
+}
+
+export default PhotoPicker
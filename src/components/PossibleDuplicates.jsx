@@ -0,0 +1,63 @@
+import { Link } from 'react-router-dom'
+import { deviceTypeLabels } from '../utils/mapIcons'
+import { getDeviceStatus, getConfirmationCount, deviceStatusLabels } from '../utils/deviceStatus'
+
+// "Is this one of these?" prompt shown before a submission that has existing
+// devices close by. Picking one confirms it instead of adding a duplicate
+function PossibleDuplicates({ duplicates, onConfirm, onSubmitAnyway, busy = false }) {
+  return (
+    <div className="p-4 bg-yellow-50 border border-yellow-300 rounded-lg">
+      <p className="font-semibold text-gray-900 mb-1">Is this one of these?</p>
+      <p className="text-sm text-gray-700 mb-3">
+        {duplicates.length === 1 ? 'A device has' : `${duplicates.length} devices have`} already been reported here.
+        If it&apos;s the same one, confirm it instead of adding a duplicate.
+      </p>
+
+      <ul className="space-y-2 mb-3">
+        {duplicates.map((device) => {
+          const status = getDeviceStatus(device)
+          return (
+            <li key={device.id} className="flex items-center gap-3 bg-white border border-gray-200 rounded-md p-2">
+              {device.photos?.length > 0 && (
+                <img src={device.photos[0].url} alt="" className="w-12 h-12 object-cover rounded flex-shrink-0" />
+              )}
+              <div className="min-w-0 flex-1 text-sm">
+                <p className="font-medium text-gray-900">
+                  {deviceTypeLabels[device.type] || 'Device'}
+                  <span className="font-normal text-gray-500"> · {Math.round(device.distance)} m away</span>
+                </p>
+                <p className="text-xs text-gray-500 truncate">
+                  {[device.address || device.description, `👍 ${getConfirmationCount(device)}`, status !== 'active' && deviceStatusLabels[status]]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </p>
+                <Link to={`/devices/${device.id}`} target="_blank" className="text-xs text-blue-600 hover:text-blue-800 underline">
+                  View details
+                </Link>
+              </div>
+              <button
+                type="button"
+                onClick={() => onConfirm(device)}
+                disabled={busy}
+                className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 flex-shrink-0"
+              >
+                👍 This one
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+
+      <button
+        type="button"
+        onClick={onSubmitAnyway}
+        disabled={busy}
+        className="text-sm text-gray-700 hover:text-gray-900 underline disabled:opacity-50"
+      >
+        No, it&apos;s a different device. Submit it.
+      </button>
+    </div>
+  )
+}
+
+export default PossibleDuplicates
@@ -1,13 +1,25 @@
 import { useState } from 'react'
 import { useAuth } from '../hooks/useAuth'
-import { addDevice } from '../firebase/services'
+import { addDevice, addDevicePhoto, MAX_PHOTOS_PER_DEVICE } from '../firebase/services'
+import PhotoPicker from './PhotoPicker'
+import PossibleDuplicates from './PossibleDuplicates'
+import { findPossibleDuplicates, confirmExistingDevice } from '../utils/duplicateCheck'
+
+// Quick compass choices; the full form's map picker allows any bearing and several heads
+const QUICK_DIRECTIONS = [
+  ['N', 0], ['NE', 45], ['E', 90], ['SE', 135], ['S', 180], ['SW', 225], ['W', 270], ['NW', 315],
+]
 
 function QuickSubmitModal({ isOpen, onClose, initialLatitude, initialLongitude, onSuccess }) {
   const { currentUser, loading: authLoading } = useAuth()
   const [formData, setFormData] = useState({
     type: 'flock',
     description: '',
+    direction: '',
   })
+  const [photos, setPhotos] = useState([])
+  // Existing devices close to the clicked point, shown before anything is written
+  const [possibleDuplicates, setPossibleDuplicates] = useState([])
   const [submitting, setSubmitting] = useState(false)
   const [error, setError] = useState('')
 
@@ -21,11 +33,32 @@ function QuickSubmitModal({ isOpen, onClose, initialLatitude, initialLongitude,
       ...prev,
       [name]: value
     }))
+    // Which devices count as duplicates depends on the type
+    if (name === 'type') {
+      setPossibleDuplicates([])
+    }
   }
 
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    
+  // Photos are extra: the device is already saved if one fails
+  const uploadPhotos = async (deviceId, existingPhotos = 0) => {
+    for (const photo of photos.slice(0, MAX_PHOTOS_PER_DEVICE - existingPhotos)) {
+      try {
+        await addDevicePhoto(deviceId, photo, currentUser.uid)
+      } catch (photoError) {
+        console.error('Photo upload failed:', photoError)
+      }
+    }
+  }
+
+  const finish = () => {
+    if (onSuccess) {
+      onSuccess()
+    }
+    onClose()
+  }
+
+  // skipDuplicateCheck is set once the user has said it isn't one of the nearby devices
+  const submitDevice = async (skipDuplicateCheck = false) => {
     if (!currentUser) {
       setError('Please wait while we initialize...')
       return
@@ -55,20 +88,31 @@ function QuickSubmitModal({ isOpen, onClose, initialLatitude, initialLongitude,
         longitude: lng,
         address: null, // Explicitly set to null to match normal form
         description: formData.description || null,
+        direction: formData.direction !== '' ? [Number(formData.direction)] : null,
+      }
+
+      if (!skipDuplicateCheck) {
+        // A failed check shouldn't stop the submission
+        const duplicates = await findPossibleDuplicates(lat, lng, deviceData.type).catch(() => [])
+        if (duplicates.length > 0) {
+          setPossibleDuplicates(duplicates)
+          return
+        }
       }
 
-      await addDevice(deviceData, currentUser)
+      const deviceId = await addDevice(deviceData, currentUser)
+      await uploadPhotos(deviceId)
       
       // Reset form
       setFormData({
         type: 'flock',
         description: '',
+        direction: '',
       })
+      setPhotos([])
+      setPossibleDuplicates([])
       
-      if (onSuccess) {
-        onSuccess()
-      }
-      onClose()
+      finish()
     } catch (err) {
       if (process.env.NODE_ENV === 'development') {
         console.error('Submission error details:', {
@@ -89,6 +133,27 @@ function QuickSubmitModal({ isOpen, onClose, initialLatitude, initialLongitude,
     }
   }
 
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    submitDevice()
+  }
+
+  // The user picked an existing device: confirm it and give it their photos
+  const handleConfirmExisting = async (device) => {
+    setSubmitting(true)
+    setError('')
+    try {
+      await confirmExistingDevice(device.id, currentUser.uid)
+      await uploadPhotos(device.id, device.photos?.length || 0)
+      finish()
+    } catch (err) {
+      console.error('Error confirming existing device:', err)
+      setError('Failed to confirm the device. Please try again.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
       <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
@@ -134,6 +199,31 @@ function QuickSubmitModal({ isOpen, onClose, initialLatitude, initialLongitude,
               </select>
             </div>
 
+            <div className="mb-4">
+              <label htmlFor="direction" className="block text-sm font-medium text-gray-700 mb-2">
+                Facing (Optional)
+              </label>
+              <select
+                id="direction"
+                name="direction"
+                value={formData.direction}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Unknown</option>
+                {QUICK_DIRECTIONS.map(([label, bearing]) => (
+                  <option key={label} value={bearing}>{label} ({bearing}°)</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Photos (Optional)
+              </label>
+              <PhotoPicker photos={photos} onChange={setPhotos} max={MAX_PHOTOS_PER_DEVICE} disabled={submitting} />
+            </div>
+
             <div className="mb-6">
               <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
                 Description (Optional)
@@ -149,6 +239,17 @@ function QuickSubmitModal({ isOpen, onClose, initialLatitude, initialLongitude,
               />
             </div>
 
+            {possibleDuplicates.length > 0 && (
+              <div className="mb-4">
+                <PossibleDuplicates
+                  duplicates={possibleDuplicates}
+                  onConfirm={handleConfirmExisting}
+                  onSubmitAnyway={() => submitDevice(true)}
+                  busy={submitting}
+                />
+              </div>
+            )}
+
             <div className="flex gap-3">
               <button
                 type="button"
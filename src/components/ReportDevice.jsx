@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import { useAuth } from '../hooks/useAuth'
+import { reportDevice, REPORT_REASONS } from '../firebase/services'
+import { reportReasonLabels } from '../utils/reportReasons'
+
+// Accept a device ID or a pasted /devices/:id link
+const parseDeviceId = (value) => {
+  const trimmed = value.trim()
+  const match = /\/devices\/([^/?#]+)/.exec(trimmed)
+  return match ? match[1] : trimmed
+}
+
+// "Report" link that expands into a reason-coded abuse report form
+function ReportDevice({ device }) {
+  const { currentUser } = useAuth()
+  const [open, setOpen] = useState(false)
+  const [reason, setReason] = useState(REPORT_REASONS[0])
+  const [details, setDetails] = useState('')
+  const [duplicateOf, setDuplicateOf] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [result, setResult] = useState(null)
+
+  if (!currentUser) {
+    return null
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      const response = await reportDevice(device.id, {
+        reason,
+        details: details.trim(),
+        duplicateOf: duplicateOf ? parseDeviceId(duplicateOf) : null,
+      }, currentUser.uid)
+
+      if (response.success) {
+        setResult(response.hidden
+          ? 'Thanks. This pin is now hidden until a moderator reviews it.'
+          : 'Thanks. A moderator will review this pin.')
+      } else if (response.error === 'already-reported') {
+        setResult('You have already reported this pin.')
+      } else {
+        setResult('Please wait a minute before sending another report.')
+      }
+    } catch (error) {
+      console.error('Error reporting device:', error)
+      alert('Failed to send report. Please try again.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (result) {
+    return <p className="text-xs text-gray-600">{result}</p>
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="text-xs text-gray-500 hover:text-red-700 underline"
+      >
+        🚩 Report
+      </button>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-2 border border-gray-200 rounded-md bg-gray-50 text-xs space-y-2">
+      <p className="font-semibold text-gray-800">What&apos;s wrong with this pin?</p>
+      <div className="space-y-1">
+        {REPORT_REASONS.map(code => (
+          <label key={code} className="flex items-center gap-2 text-gray-700">
+            <input
+              type="radio"
+              name={`report-reason-${device.id}`}
+              value={code}
+              checked={reason === code}
+              onChange={() => setReason(code)}
+            />
+            {reportReasonLabels[code]}
+          </label>
+        ))}
+      </div>
+      {reason === 'duplicate' && (
+        <input
+          type="text"
+          value={duplicateOf}
+          onChange={(e) => setDuplicateOf(e.target.value)}
+          placeholder="Link or ID of the original pin (optional)"
+          className="w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+      )}
+      <textarea
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        rows="2"
+        maxLength={500}
+        placeholder="Details (optional)"
+        className="w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-3 py-1 bg-red-600 text-white font-medium rounded hover:bg-red-700 disabled:opacity-50"
+        >
+          {submitting ? 'Sending...' : 'Send Report'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ReportDevice
@@ -3,9 +3,14 @@ import {
   signInAnonymously, 
   onAuthStateChanged,
   linkWithCredential,
-  EmailAuthProvider
+  EmailAuthProvider,
+  signInWithEmailAndPassword,
+  signOut as firebaseSignOut,
+  sendPasswordResetEmail,
+  sendEmailVerification
 } from 'firebase/auth';
 import { auth, waitForAppCheck } from '../firebase/config';
+import { getUserRole, MODERATOR_ROLES } from '../firebase/services';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 const AuthContext = createContext({});
@@ -23,6 +28,11 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const [appCheckReady, setAppCheckReady] = useState(false);
   const [error, setError] = useState(null);
+  // Bumped when the signed-in user object changes in place (linking, email verification)
+  // so consumers re-render; onAuthStateChanged doesn't fire for those
+  const [, setUserRevision] = useState(0);
+  // Moderation role of the current user (null for regular users)
+  const [role, setRole] = useState(null);
 
   // Wait for App Check to be ready - DO NOT proceed without it
   useEffect(() => {
@@ -64,6 +74,30 @@ export function AuthProvider({ children }) {
     return unsubscribe;
   }, [appCheckReady]);
 
+  // Load the moderation role whenever a different user signs in
+  const currentUid = currentUser?.uid;
+  useEffect(() => {
+    setRole(null);
+    if (!currentUid) {
+      return;
+    }
+
+    let cancelled = false;
+    getUserRole(currentUid)
+      .then((userRole) => {
+        if (!cancelled) {
+          setRole(userRole);
+        }
+      })
+      .catch(() => {
+        // Treat the user as a regular user
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUid]);
+
   // Function to link anonymous account with email/password
   const linkAccount = async (email, password) => {
     try {
@@ -73,11 +107,71 @@ export function AuthProvider({ children }) {
 
       const credential = EmailAuthProvider.credential(email, password);
       await linkWithCredential(currentUser, credential);
-      // onAuthStateChanged will fire with updated user
+      // Linking keeps the same user (and uid), so submissions stay with it
+      setUserRevision(revision => revision + 1);
       return { success: true };
     } catch (err) {
       console.error('Error linking account:', err);
-      return { success: false, error: err.message };
+      return { success: false, error: err.message, code: err.code };
+    }
+  };
+
+  // Sign in to an existing email/password account (e.g. a returning user on a new device)
+  // The current anonymous user is replaced; its submissions stay under its uid
+  const signIn = async (email, password) => {
+    try {
+      const credential = await signInWithEmailAndPassword(auth, email, password);
+      return { success: true, user: credential.user };
+    } catch (err) {
+      console.error('Error signing in:', err);
+      return { success: false, error: err.message, code: err.code };
+    }
+  };
+
+  // Sign out; onAuthStateChanged then signs in a fresh anonymous user
+  const signOut = async () => {
+    try {
+      await firebaseSignOut(auth);
+      return { success: true };
+    } catch (err) {
+      console.error('Error signing out:', err);
+      return { success: false, error: err.message, code: err.code };
+    }
+  };
+
+  const resetPassword = async (email) => {
+    try {
+      await sendPasswordResetEmail(auth, email);
+      return { success: true };
+    } catch (err) {
+      console.error('Error sending password reset email:', err);
+      return { success: false, error: err.message, code: err.code };
+    }
+  };
+
+  const sendVerificationEmail = async () => {
+    try {
+      if (!currentUser) {
+        throw new Error('No user signed in');
+      }
+      await sendEmailVerification(currentUser);
+      return { success: true };
+    } catch (err) {
+      console.error('Error sending verification email:', err);
+      return { success: false, error: err.message, code: err.code };
+    }
+  };
+
+  // Reload the user from Firebase, e.g. to pick up emailVerified after clicking the link
+  const refreshUser = async () => {
+    if (!currentUser) {
+      return;
+    }
+    try {
+      await currentUser.reload();
+      setUserRevision(revision => revision + 1);
+    } catch (err) {
+      console.error('Error reloading user:', err);
     }
   };
 
@@ -86,6 +180,13 @@ export function AuthProvider({ children }) {
     loading: loading || !appCheckReady,
     error,
     linkAccount,
+    signIn,
+    signOut,
+    resetPassword,
+    sendVerificationEmail,
+    refreshUser,
+    role,
+    isModerator: MODERATOR_ROLES.includes(role),
     appCheckReady,
   };
 
@@ -2,9 +2,9 @@
 import { initializeApp } from "firebase/app";
 import { getAnalytics } from "firebase/analytics";
 import { initializeAppCheck, ReCaptchaV3Provider } from "firebase/app-check";
-import { getFirestore } from "firebase/firestore";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
 import { getAuth } from "firebase/auth";
-import { getStorage } from "firebase/storage";
+import { getStorage, connectStorageEmulator } from "firebase/storage";
 
 // Your web app's Firebase configuration
 // For Firebase JS SDK v7.20.0 and later, measurementId is optional
@@ -175,6 +175,19 @@ export const db = getFirestore(app);
 export const auth = getAuth(app);
 export const storage = getStorage(app);
 
+// Use the local emulators (npm run emulator:start) when their hosts are set, e.g.
+// VITE_FIRESTORE_EMULATOR_HOST=localhost:8080 VITE_STORAGE_EMULATOR_HOST=localhost:9199 npm run dev
+const parseEmulatorHost = (value) => {
+  const [host, port] = value.split(':');
+  return [host, Number(port)];
+};
+if (import.meta.env.VITE_FIRESTORE_EMULATOR_HOST) {
+  connectFirestoreEmulator(db, ...parseEmulatorHost(import.meta.env.VITE_FIRESTORE_EMULATOR_HOST));
+}
+if (import.meta.env.VITE_STORAGE_EMULATOR_HOST) {
+  connectStorageEmulator(storage, ...parseEmulatorHost(import.meta.env.VITE_STORAGE_EMULATOR_HOST));
+}
+
 // Initialize Analytics (only in browser environment)
 let analytics = null;
 if (typeof window !== 'undefined') {
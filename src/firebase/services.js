@@ -7,8 +7,8 @@ import {
   getDoc,
   getDocs,
   addDoc,
+  setDoc,
   updateDoc,
-  deleteDoc,
   query,
   where,
   orderBy,
@@ -19,12 +19,179 @@ import {
   arrayRemove,
   increment,
   writeBatch,
+  runTransaction,
+  startAfter,
+  Timestamp,
+  deleteField,
 } from 'firebase/firestore';
-import { db } from './config';
+import { ref as storageRef, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { db, storage } from './config';
+import { encodeGeohash, geohashQueryBounds, geohashCellBounds, geohashChildrenInBounds, boundsAroundPoint, distanceInMeters } from '../utils/geohash';
+import { getConfirmationCount } from '../utils/deviceStatus';
 
 // Collection name for surveillance devices
 const DEVICES_COLLECTION = 'devices';
 
+// Proposed edits to a device, stored as a subcollection of the device
+const SUGGESTIONS_COLLECTION = 'suggestions';
+
+// Append-only change log of a device, stored as a subcollection of the device
+const REVISIONS_COLLECTION = 'revisions';
+
+// "Still here" confirmations of a device, one per user (document ID = user uid)
+const CONFIRMATIONS_COLLECTION = 'confirmations';
+
+// Cloud Storage folder for device photos, one subfolder per device
+const DEVICE_PHOTOS_PATH = 'devicePhotos';
+
+// Hand-offs of a guest (anonymous) user's submissions to an email account
+const ACCOUNT_TRANSFERS_COLLECTION = 'accountTransfers';
+
+// Abuse reports on a device, one per reporter (document ID = reporter uid)
+const REPORTS_COLLECTION = 'reports';
+
+// When each user last reported a device, for the report cooldown
+const REPORT_THROTTLE_COLLECTION = 'reportThrottle';
+
+// Moderation roles, keyed by uid (written only by scripts/set-role.js)
+const ROLES_COLLECTION = 'roles';
+
+// Append-only record of every moderator action
+const MODERATION_LOG_COLLECTION = 'moderationLog';
+
+// How long soft-deleted devices (tombstones) are kept before they can be purged
+// Cached clients that haven't synced within this window must do a full refresh
+export const TOMBSTONE_RETENTION_DAYS = 30;
+
+// Most redirects getDevice follows from a merged device to the one that was kept
+const MAX_MERGE_HOPS = 5;
+
+// Smallest page a geohash cell query asks for, so crowded viewports don't
+// turn into hundreds of tiny queries
+const MIN_CELL_QUERY_LIMIT = 100;
+
+// Most cell queries in one round of a bounds query
+const MAX_CELL_QUERIES = 64;
+
+// Most devices batchAddDevices accepts at once: Firestore batches are limited
+// to 500 writes, and every device also writes a revision
+export const MAX_DEVICES_PER_BATCH = 250;
+
+// What a re-import carries over from the existing document: moderation state
+// (firestore.rules rejects updates that change it), and what users added. The
+// legacy thumbs-up voters stay until scripts/migrate-confirmations.js moves them
+const IMPORT_PRESERVED_FIELDS = [
+  'hidden', 'reportCount', 'reportsReviewedAt', 'lastModerationId', 'lastMergedFrom',
+  'createdAt', 'photos', 'lastConfirmedAt', 'inactiveReports', 'inactiveReportUsers', 'lastInactiveReportAt',
+  'thumbsUp', 'thumbsUpUsers',
+];
+
+// Fields anyone can propose a change to through a suggestion
+export const SUGGESTIBLE_FIELDS = ['type', 'latitude', 'longitude', 'description', 'direction', 'fov'];
+
+// Confirmations from other users after which anyone may apply a suggestion
+// Must match the threshold in firestore.rules
+export const SUGGESTION_CONFIRMATION_THRESHOLD = 3;
+
+// Most photos one device can have (must match firestore.rules)
+export const MAX_PHOTOS_PER_DEVICE = 6;
+
+// Confirmations copied per batch when merging devices: firestore.rules checks each
+// copy against the duplicate's confirmation, and a batch may read at most 20 documents
+const MERGE_CONFIRMATIONS_PER_BATCH = 10;
+
+// Roles that may use the moderation tools (must match isModerator in firestore.rules)
+export const MODERATOR_ROLES = ['moderator', 'admin'];
+
+// "Not Here" reports after which a device shows up in the moderation queue
+export const MODERATION_INACTIVE_THRESHOLD = 3;
+
+// Accounts whose first submission is more recent than this count as new
+export const NEW_ACCOUNT_DAYS = 7;
+
+// Reason codes for abuse reports (must match firestore.rules)
+export const REPORT_REASONS = ['fake', 'privacy', 'duplicate', 'offensive', 'other'];
+
+// Reports after which a device is hidden until a moderator reviews it
+// Must match the threshold in firestore.rules
+export const REPORT_HIDE_THRESHOLD = 3;
+
+// Minimum time between two reports from the same user (must match firestore.rules)
+export const REPORT_COOLDOWN_SECONDS = 60;
+
+// Device fields recorded in revision diffs. Geohash and timestamps are derived,
+// and voter lists are summarised by their counts (thumbsUp is the pre-confirmations count)
+const REVISION_FIELDS = [
+  'type', 'latitude', 'longitude', 'address', 'description', 'direction', 'fov',
+  'osmId', 'reportedBy', 'thumbsUp', 'confirmationCount', 'inactiveReports', 'reportCount', 'deleted', 'hidden', 'mergedInto',
+];
+
+// Fields a revision can be reverted on (votes, ownership and deletion can't)
+export const REVERTIBLE_FIELDS = ['type', 'latitude', 'longitude', 'address', 'description', 'direction', 'fov'];
+
+// Revision actions that can be reverted
+const REVERTIBLE_ACTIONS = ['update', 'revert', 'merge'];
+
+/**
+ * Field-level diff between two versions of a device
+ * @param {Object|null} before - Device data before the change (null for a new device)
+ * @param {Object|null} after - Device data after the change
+ * @returns {Object} Map of field to {from, to}, only for fields that changed
+ */
+function diffDeviceFields(before, after) {
+  const changes = {};
+  REVISION_FIELDS.forEach((field) => {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Append a revision for a device change to a batch or transaction
+ * Must be written in the same batch/transaction as the device change it
+ * records (firestore.rules checks the device's updatedAt).
+ * @param {Object} writer - Firestore WriteBatch or Transaction
+ * @param {Object} deviceRef - Device document reference
+ * @param {Object} revision - Revision data
+ * @param {string} revision.action - 'create', 'update', 'vote', 'photo', 'delete', 'transfer', 'revert', 'report', 'hide', 'restore', 'dismiss' or 'merge'
+ * @param {Object} revision.changes - Field-level diff from diffDeviceFields
+ * @param {string} revision.changedBy - UID of the user making the change
+ * @param {string} revision.source - 'user' or 'osm-import' (default: 'user')
+ * @param {string} revision.revertOf - ID of the reverted revision (revert only)
+ * @param {string} revision.suggestionId - ID of the applied suggestion (optional)
+ */
+function writeRevision(writer, deviceRef, { action, changes, changedBy, source = 'user', revertOf = null, suggestionId = null }) {
+  const revisionDoc = {
+    action,
+    changes,
+    changedBy,
+    source,
+    createdAt: serverTimestamp(),
+  };
+  if (revertOf) {
+    revisionDoc.revertOf = revertOf;
+  }
+  if (suggestionId) {
+    revisionDoc.suggestionId = suggestionId;
+  }
+  writer.set(doc(collection(deviceRef, REVISIONS_COLLECTION)), revisionDoc);
+}
+
+/**
+ * Map a query snapshot to live device objects, dropping soft-deleted tombstones
+ * @param {Object} querySnapshot - Firestore query snapshot
+ * @returns {Array} Array of device objects
+ */
+function getLiveDevices(querySnapshot) {
+  return querySnapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(device => !device.deleted);
+}
+
 /**
  * Add a new surveillance device report
  * @param {Object} deviceData - Device information
@@ -40,10 +207,10 @@ export async function addDevice(deviceData, user = null) {
   try {
     const deviceDoc = {
       ...deviceData,
+      geohash: encodeGeohash(deviceData.latitude, deviceData.longitude),
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
-      thumbsUp: 0,
-      thumbsUpUsers: [], // Array of user UIDs who have thumbs upped
+      confirmationCount: 0, // Number of documents in the confirmations subcollection
       inactiveReports: 0,
       inactiveReportUsers: [], // Array of user UIDs who have reported as inactive
     };
@@ -57,7 +224,15 @@ export async function addDevice(deviceData, user = null) {
       };
     }
 
-    const docRef = await addDoc(collection(db, DEVICES_COLLECTION), deviceDoc);
+    const docRef = doc(collection(db, DEVICES_COLLECTION));
+    const batch = writeBatch(db);
+    batch.set(docRef, deviceDoc);
+    writeRevision(batch, docRef, {
+      action: 'create',
+      changes: diffDeviceFields(null, deviceDoc),
+      changedBy: user?.uid ?? null,
+    });
+    await batch.commit();
     return docRef.id;
   } catch (error) {
     console.error('Error adding device:', error);
@@ -67,18 +242,22 @@ export async function addDevice(deviceData, user = null) {
 
 /**
  * Batch add multiple devices (for bulk imports)
+ * Each device gets a revision; devices imported from OSM over an existing
+ * document record what the import overwrote and keep its moderation state.
+ * Deleted, hidden and merged documents are left alone, so re-imports don't
+ * bring back what a user or moderator removed.
  * @param {Array<Object>} devicesArray - Array of device data objects (should have reportedBy, but timestamps will be added)
  * @param {Array<string>} documentIds - Optional array of document IDs (must match devicesArray length if provided)
- * @returns {Promise<void>}
+ * @returns {Promise<number>} Number of devices written
  */
 export async function batchAddDevices(devicesArray, documentIds = null) {
   if (!devicesArray || devicesArray.length === 0) {
-    return;
+    return 0;
   }
 
-  // Firestore batch limit is 500 operations
-  if (devicesArray.length > 500) {
-    throw new Error('Batch size exceeds Firestore limit of 500 operations');
+  // Firestore batch limit is 500 operations, and each device also writes a revision
+  if (devicesArray.length > MAX_DEVICES_PER_BATCH) {
+    throw new Error(`Batch size exceeds limit of ${MAX_DEVICES_PER_BATCH} devices`);
   }
 
   // If documentIds provided, must match length
@@ -90,29 +269,62 @@ export async function batchAddDevices(devicesArray, documentIds = null) {
     const batch = writeBatch(db);
     const devicesRef = collection(db, DEVICES_COLLECTION);
 
+    // Use provided document IDs or create new ones
+    const docRefs = devicesArray.map((deviceData, index) => (
+      documentIds ? doc(devicesRef, documentIds[index]) : doc(devicesRef)
+    ));
+
+    // Existing versions of re-imported devices, for the revision diffs
+    const existingSnaps = documentIds
+      ? await Promise.all(docRefs.map(docRef => getDoc(docRef)))
+      : [];
+
+    let written = 0;
     devicesArray.forEach((deviceData, index) => {
-      // Use provided document ID or create new one
-      const docRef = documentIds 
-        ? doc(devicesRef, documentIds[index])
-        : doc(devicesRef);
+      const docRef = docRefs[index];
+      const existing = existingSnaps[index]?.exists() ? existingSnaps[index].data() : null;
+      if (existing?.deleted) {
+        return;
+      }
+      const preserved = {};
+      IMPORT_PRESERVED_FIELDS.forEach((field) => {
+        if (existing?.[field] !== undefined) {
+          preserved[field] = existing[field];
+        }
+      });
       
       // Ensure all required fields are set
       const deviceDoc = {
         ...deviceData,
+        // A direction mapped in OSM wins; otherwise keep one set in the app
+        direction: deviceData.direction ?? existing?.direction ?? null,
+        fov: deviceData.direction != null ? (deviceData.fov ?? null) : (existing?.fov ?? deviceData.fov ?? null),
+        geohash: deviceData.geohash ?? encodeGeohash(deviceData.latitude, deviceData.longitude),
         createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-        thumbsUp: deviceData.thumbsUp ?? 0,
-        thumbsUpUsers: deviceData.thumbsUpUsers ?? [],
         inactiveReports: deviceData.inactiveReports ?? 0,
         inactiveReportUsers: deviceData.inactiveReportUsers ?? [],
+        ...preserved,
+        updatedAt: serverTimestamp(),
+        // Re-imports keep the count in step with the existing confirmations subcollection
+        confirmationCount: existing ? getConfirmationCount(existing) : (deviceData.confirmationCount ?? 0),
       };
       
       // Use set() with merge to update if exists, create if not
       // This prevents duplicates when re-importing
       batch.set(docRef, deviceDoc, { merge: false }); // merge: false means overwrite if exists
+      writeRevision(batch, docRef, {
+        action: existing ? 'update' : 'create',
+        changes: diffDeviceFields(existing, deviceDoc),
+        changedBy: deviceData.reportedBy?.uid ?? null,
+        source: deviceData.osmId != null ? 'osm-import' : 'user',
+      });
+      written++;
     });
 
-    await batch.commit();
+    if (written > 0) {
+      await batch.commit();
+    }
+    return written;
   } catch (error) {
     console.error('Error batch adding devices:', error);
     throw error;
@@ -171,14 +383,20 @@ export async function checkExistingDevices(documentIds) {
 /**
  * Get a single device by ID
  * @param {string} deviceId - Document ID
- * @returns {Promise<Object|null>} Device data or null if not found
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.followMerges - Return the device a merged duplicate points at (default: false)
+ * @returns {Promise<Object|null>} Device data or null if not found or deleted
  */
-export async function getDevice(deviceId) {
+export async function getDevice(deviceId, { followMerges = false } = {}) {
   try {
-    const docRef = doc(db, DEVICES_COLLECTION, deviceId);
-    const docSnap = await getDoc(docRef);
+    let docSnap = await getDoc(doc(db, DEVICES_COLLECTION, deviceId));
+
+    // A merged device may itself have been merged later; follow a few hops at most
+    for (let hops = 0; followMerges && hops < MAX_MERGE_HOPS && docSnap.exists() && docSnap.data().mergedInto; hops++) {
+      docSnap = await getDoc(doc(db, DEVICES_COLLECTION, docSnap.data().mergedInto));
+    }
     
-    if (docSnap.exists()) {
+    if (docSnap.exists() && !docSnap.data().deleted) {
       return { id: docSnap.id, ...docSnap.data() };
     }
     return null;
@@ -215,13 +433,36 @@ export async function getAllDevices(options = {}) {
       q = query(q, limit(limitCount));
     }
 
+    const querySnapshot = await getDocs(q);
+    return getLiveDevices(querySnapshot);
+  } catch (error) {
+    console.error('Error getting devices:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get devices changed since a point in time (for incremental cache sync)
+ * Relies on every write bumping updatedAt, so one query returns all new and edited devices.
+ * Tombstones are included (deleted: true) so caches can drop them.
+ * @param {number} sinceMillis - Only return devices with updatedAt after this time (ms since epoch)
+ * @returns {Promise<Array>} Array of device objects, oldest change first
+ */
+export async function getDevicesUpdatedSince(sinceMillis) {
+  try {
+    const q = query(
+      collection(db, DEVICES_COLLECTION),
+      where('updatedAt', '>', Timestamp.fromMillis(sinceMillis)),
+      orderBy('updatedAt', 'asc')
+    );
+
     const querySnapshot = await getDocs(q);
     return querySnapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data(),
     }));
   } catch (error) {
-    console.error('Error getting devices:', error);
+    console.error('Error getting updated devices:', error);
     throw error;
   }
 }
@@ -240,10 +481,7 @@ export async function getDevicesByType(deviceType) {
     );
     
     const querySnapshot = await getDocs(q);
-    return querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    return getLiveDevices(querySnapshot);
   } catch (error) {
     console.error('Error getting devices by type:', error);
     throw error;
@@ -251,33 +489,120 @@ export async function getDevicesByType(deviceType) {
 }
 
 /**
- * Update a device
+ * Get the devices submitted by a user, newest first
+ * Needs the (reportedBy.uid, createdAt desc) index in firestore.indexes.json
+ * @param {string} userId - UID of the submitter
+ * @returns {Promise<Array>} Array of device objects
+ */
+export async function getDevicesByUser(userId) {
+  try {
+    const q = query(
+      collection(db, DEVICES_COLLECTION),
+      where('reportedBy.uid', '==', userId),
+      orderBy('createdAt', 'desc')
+    );
+    
+    const querySnapshot = await getDocs(q);
+    return getLiveDevices(querySnapshot);
+  } catch (error) {
+    console.error('Error getting devices by user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a device and record the change as a revision
  * @param {string} deviceId - Document ID
  * @param {Object} updates - Fields to update
+ * @param {string} userId - UID of the user making the change
+ * @param {Object} revisionInfo - Extra revision fields (action, revertOf, suggestionId)
+ * @param {Object} expected - Values the device must still have for the update to go ahead (optional)
  * @returns {Promise<void>}
  */
-export async function updateDevice(deviceId, updates) {
+export async function updateDevice(deviceId, updates, userId, revisionInfo = {}, expected = null) {
   try {
     const docRef = doc(db, DEVICES_COLLECTION, deviceId);
-    await updateDoc(docRef, {
-      ...updates,
-      updatedAt: serverTimestamp(),
-    });
+
+    await runTransaction(db, (transaction) => (
+      updateDeviceInTransaction(transaction, docRef, updates, userId, revisionInfo, expected)
+    ));
   } catch (error) {
     console.error('Error updating device:', error);
     throw error;
   }
 }
 
+/**
+ * Read a device in a transaction, then update it and append its revision
+ * Any other reads of the transaction must come before this (see applySuggestion).
+ * @param {Object} transaction - Firestore Transaction
+ * @param {Object} docRef - Device document reference
+ * @param {Object} updates - Fields to update
+ * @param {string} userId - UID of the user making the change
+ * @param {Object} revisionInfo - Extra revision fields (action, revertOf, suggestionId)
+ * @param {Object} expected - Values the device must still have for the update to go ahead (optional)
+ * @returns {Promise<void>}
+ */
+async function updateDeviceInTransaction(transaction, docRef, updates, userId, revisionInfo = {}, expected = null) {
+  const docSnap = await transaction.get(docRef);
+  if (!docSnap.exists() || docSnap.data().deleted) {
+    throw new Error('Device not found');
+  }
+
+  const before = docSnap.data();
+  const changed = Object.keys(expected || {}).filter(
+    field => JSON.stringify(before[field] ?? null) !== JSON.stringify(expected[field] ?? null)
+  );
+  if (changed.length > 0) {
+    throw new Error(`The device was changed again since (${changed.join(', ')})`);
+  }
+  const fields = { ...updates };
+
+  // Keep the geohash in sync when the position changes
+  if (updates.latitude != null || updates.longitude != null) {
+    fields.geohash = encodeGeohash(
+      updates.latitude ?? before.latitude,
+      updates.longitude ?? before.longitude
+    );
+  }
+
+  transaction.update(docRef, {
+    ...fields,
+    updatedAt: serverTimestamp(),
+  });
+  writeRevision(transaction, docRef, {
+    action: 'update',
+    ...revisionInfo,
+    changes: diffDeviceFields(before, { ...before, ...fields }),
+    changedBy: userId,
+  });
+}
+
 /**
  * Delete a device
+ * Leaves a soft-delete tombstone instead of removing the document, so clients
+ * that sync incrementally see the deletion. Tombstones are purged later by
+ * purgeDeletedDevices.
  * @param {string} deviceId - Document ID
+ * @param {string} userId - UID of the user deleting the device
  * @returns {Promise<void>}
  */
-export async function deleteDevice(deviceId) {
+export async function deleteDevice(deviceId, userId) {
   try {
     const docRef = doc(db, DEVICES_COLLECTION, deviceId);
-    await deleteDoc(docRef);
+    const batch = writeBatch(db);
+    batch.update(docRef, {
+      deleted: true,
+      deletedAt: serverTimestamp(),
+      deletedBy: userId,
+      updatedAt: serverTimestamp(),
+    });
+    writeRevision(batch, docRef, {
+      action: 'delete',
+      changes: { deleted: { from: false, to: true } },
+      changedBy: userId,
+    });
+    await batch.commit();
   } catch (error) {
     console.error('Error deleting device:', error);
     throw error;
@@ -285,42 +610,186 @@ export async function deleteDevice(deviceId) {
 }
 
 /**
- * Subscribe to real-time updates for all devices
- * @param {Function} callback - Callback function that receives the devices array
+ * Permanently remove tombstones older than the retention window
+ * @param {number} retentionDays - Minimum tombstone age in days (default: TOMBSTONE_RETENTION_DAYS)
+ * @returns {Promise<number>} Number of tombstones removed
+ */
+export async function purgeDeletedDevices(retentionDays = TOMBSTONE_RETENTION_DAYS) {
+  try {
+    const cutoff = Timestamp.fromMillis(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    // Only tombstones have deletedAt, so this needs no composite index
+    const pageQuery = (after) => query(
+      collection(db, DEVICES_COLLECTION),
+      where('deletedAt', '<', cutoff),
+      orderBy('deletedAt'),
+      ...(after ? [startAfter(after)] : []),
+      limit(500)
+    );
+
+    let purged = 0;
+    let querySnapshot = await getDocs(pageQuery(null));
+
+    while (!querySnapshot.empty) {
+      // Merged devices stay as redirects to the device they were merged into,
+      // so the query pages past them instead of seeing them again
+      const purgeable = querySnapshot.docs.filter(docSnap => !docSnap.data().mergedInto);
+      if (purgeable.length > 0) {
+        const batch = writeBatch(db);
+        purgeable.forEach(docSnap => batch.delete(docSnap.ref));
+        await batch.commit();
+        purged += purgeable.length;
+      }
+      querySnapshot = await getDocs(pageQuery(querySnapshot.docs[querySnapshot.docs.length - 1]));
+    }
+
+    return purged;
+  } catch (error) {
+    console.error('Error purging deleted devices:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to devices changed after a point in time
+ * Only documents with updatedAt after sinceMillis are watched, and each snapshot
+ * reports just its docChanges(), so listeners never re-download the collection.
+ * Soft-deleted tombstones and documents removed from the query are reported in
+ * `removed` with deleted: true.
+ * @param {number|null} sinceMillis - Watch devices updated after this time (ms since epoch, null = now)
+ * @param {Function} callback - Receives {added, modified, removed} arrays of device objects
  * @param {Function} errorCallback - Optional error callback function
  * @returns {Function} Unsubscribe function
  */
-export function subscribeToDevices(callback, errorCallback) {
+export function subscribeToDeviceChanges(sinceMillis, callback, errorCallback) {
   const q = query(
     collection(db, DEVICES_COLLECTION),
-    orderBy('createdAt', 'desc')
+    where('updatedAt', '>', Timestamp.fromMillis(sinceMillis ?? Date.now())),
+    orderBy('updatedAt', 'asc')
   );
 
   return onSnapshot(q, (querySnapshot) => {
-    const devices = querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
-    callback(devices);
+    const changes = { added: [], modified: [], removed: [] };
+
+    querySnapshot.docChanges().forEach((change) => {
+      const device = { id: change.doc.id, ...change.doc.data() };
+
+      if (change.type === 'removed') {
+        // A local write with a pending server timestamp briefly drops out of the
+        // updatedAt query; it comes back once the write is confirmed
+        if (change.doc.metadata.hasPendingWrites) {
+          return;
+        }
+        changes.removed.push({ ...device, deleted: true });
+      } else if (device.deleted) {
+        changes.removed.push(device);
+      } else {
+        changes[change.type].push(device);
+      }
+    });
+
+    if (changes.added.length > 0 || changes.modified.length > 0 || changes.removed.length > 0) {
+      callback(changes);
+    }
   }, (error) => {
-    console.error('Error in devices subscription:', error);
+    console.error('Error in device changes subscription:', error);
     if (errorCallback) {
       errorCallback(error);
     }
   });
 }
 
+/**
+ * Query the devices inside a bounding box, one geohash prefix range per cell
+ * Each cell gets an equal share of the limit. A cell that fills its share may
+ * hold more: if it lies inside the bounds its next page is read, otherwise its
+ * parts inside the bounds are queried at the next precision. This repeats with
+ * the share that is left until the limit is reached.
+ * @param {Object} bounds - Bounding box {south, north, west, east}
+ * @param {number} maxDevices - Maximum number of devices to return
+ * @param {number} roundTimeoutMs - Time allowed for each round of queries; when one takes longer,
+ *   the devices found so far are returned (optional, no limit by default)
+ * @returns {Promise<Object>} {devices, truncated}; truncated is true when devices in the bounds were left out
+ */
+async function queryDevicesInBounds(bounds, maxDevices, roundTimeoutMs = null) {
+  const isInBounds = device => (
+    device.longitude >= bounds.west &&
+    device.longitude <= bounds.east &&
+    device.latitude >= bounds.south &&
+    device.latitude <= bounds.north
+  );
+  const isCellInBounds = (prefix) => {
+    const cell = geohashCellBounds(prefix);
+    return cell.south >= bounds.south && cell.north <= bounds.north && cell.west >= bounds.west && cell.east <= bounds.east;
+  };
+
+  const found = new Map();
+  let truncated = false;
+  // Cells still to read, with the last document already read from them
+  let cells = geohashQueryBounds(bounds).map(([prefix]) => ({ prefix, after: null }));
+
+  while (cells.length > 0) {
+    const cellLimit = Math.max(MIN_CELL_QUERY_LIMIT, Math.ceil((maxDevices - found.size) / cells.length));
+    // Only needs the automatic single-field index on geohash
+    const round = Promise.all(cells.map(({ prefix, after }) => getDocs(query(
+      collection(db, DEVICES_COLLECTION),
+      where('geohash', '>=', prefix),
+      where('geohash', '<=', `${prefix}~`),
+      orderBy('geohash'),
+      ...(after ? [startAfter(after)] : []),
+      limit(cellLimit)
+    ))));
+
+    let timeoutId = null;
+    const timeout = new Promise((resolve) => {
+      if (roundTimeoutMs != null) {
+        timeoutId = setTimeout(() => resolve(null), roundTimeoutMs);
+      }
+    });
+    const snapshots = await Promise.race([round, timeout]).finally(() => clearTimeout(timeoutId));
+    if (!snapshots) {
+      // Too slow: keep what the earlier rounds found
+      truncated = true;
+      break;
+    }
+
+    const nextCells = [];
+    snapshots.forEach((snapshot, index) => {
+      // Geohash cells overhang the bounds, so trim to the exact bounds
+      getLiveDevices(snapshot).filter(isInBounds).forEach(device => found.set(device.id, device));
+      if (snapshot.size < cellLimit) {
+        return;
+      }
+      const { prefix } = cells[index];
+      if (isCellInBounds(prefix)) {
+        nextCells.push({ prefix, after: snapshot.docs[snapshot.docs.length - 1] });
+      } else {
+        nextCells.push(...geohashChildrenInBounds(prefix, bounds).map(child => ({ prefix: child, after: null })));
+      }
+    });
+
+    if (found.size >= maxDevices) {
+      truncated = found.size > maxDevices || nextCells.length > 0;
+      break;
+    }
+    if (nextCells.length > MAX_CELL_QUERIES) {
+      truncated = true;
+    }
+    cells = nextCells.slice(0, MAX_CELL_QUERIES);
+  }
+
+  return { devices: Array.from(found.values()).slice(0, maxDevices), truncated };
+}
+
 /**
  * Get devices within a bounding box (viewport-based loading)
+ * Covers the viewport with geohash prefix range queries, so the cost is roughly
+ * what is on screen rather than the whole latitude band
  * @param {Object} bounds - Bounding box {south, north, west, east}
  * @param {number} maxDevices - Maximum number of devices to return (default: 10000)
  * @returns {Promise<Array>} Array of device objects within bounds
  */
 export async function getDevicesInBounds(bounds, maxDevices = 10000) {
   try {
-    // Firestore doesn't support native geospatial queries, so we use range queries
-    // This requires a composite index on (latitude, longitude)
-    
     // Calculate approximate area to determine if we need to limit results
     const latRange = bounds.north - bounds.south;
     const lonRange = bounds.east - bounds.west;
@@ -333,37 +802,12 @@ export async function getDevicesInBounds(bounds, maxDevices = 10000) {
     } else if (area > 10) { // Large area (e.g., state)
       effectiveLimit = 7500;
     }
-    
-    // Use latitude range as primary filter (more efficient than longitude)
-    // Build query step by step to avoid issues
-    let q = query(collection(db, DEVICES_COLLECTION));
-    q = query(q, where('latitude', '>=', bounds.south));
-    q = query(q, where('latitude', '<=', bounds.north));
-    q = query(q, orderBy('latitude', 'asc'));
-    q = query(q, orderBy('longitude', 'asc'));
-    q = query(q, limit(effectiveLimit));
-
-    // Add timeout to prevent hanging
-    const queryPromise = getDocs(q);
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Query timeout')), 10000)
-    );
-    
-    const querySnapshot = await Promise.race([queryPromise, timeoutPromise]);
-    
-    // Filter by longitude client-side (more accurate)
-    const devices = querySnapshot.docs
-      .map(doc => ({ id: doc.id, ...doc.data() }))
-      .filter(device => 
-        device.longitude >= bounds.west && 
-        device.longitude <= bounds.east &&
-        device.latitude >= bounds.south &&
-        device.latitude <= bounds.north
-      );
 
+    // Each round of queries gets 10 s; a slow round returns what was found before it
+    const { devices } = await queryDevicesInBounds(bounds, effectiveLimit, 10000);
     return devices;
   } catch (error) {
-    // If composite index doesn't exist or query times out, return empty array
+    // If a query fails, return empty array
     // Don't fall back to full fetch - that would be too slow with 88k devices
     if (process.env.NODE_ENV === 'development') {
       console.warn('Bounds query failed:', error.message);
@@ -373,20 +817,126 @@ export async function getDevicesInBounds(bounds, maxDevices = 10000) {
   }
 }
 
+/**
+ * Get every device in a region, for tools that must not miss any (e.g. the duplicate scan)
+ * Unlike getDevicesInBounds, errors are thrown, and the result says whether it was cut short.
+ * @param {Object} bounds - Bounding box {south, north, west, east}
+ * @param {number} maxDevices - Maximum number of devices to return (default: 10000)
+ * @returns {Promise<Object>} {devices, truncated}; truncated is true when the region holds more than maxDevices
+ */
+export async function getDevicesInRegion(bounds, maxDevices = 10000) {
+  try {
+    return await queryDevicesInBounds(bounds, maxDevices);
+  } catch (error) {
+    console.error('Error getting devices in region:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get devices within a radius of a point, nearest first
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusMeters - Search radius in meters (default: 500)
+ * @returns {Promise<Array>} Array of device objects with a distance field (meters)
+ */
+export async function getNearbyDevices(latitude, longitude, radiusMeters = 500) {
+  const devices = await getDevicesInBounds(boundsAroundPoint(latitude, longitude, radiusMeters));
+  return devices
+    .map(device => ({
+      ...device,
+      distance: distanceInMeters(latitude, longitude, device.latitude, device.longitude),
+    }))
+    .filter(device => device.distance <= radiusMeters)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Get the revision history of a device
+ * @param {string} deviceId - Document ID
+ * @param {number} maxRevisions - Maximum number of revisions to return (default: 50)
+ * @returns {Promise<Array>} Array of revision objects, newest first
+ */
+export async function getDeviceRevisions(deviceId, maxRevisions = 50) {
+  try {
+    const q = query(
+      collection(db, DEVICES_COLLECTION, deviceId, REVISIONS_COLLECTION),
+      orderBy('createdAt', 'desc'),
+      limit(maxRevisions)
+    );
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error('Error getting device revisions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Values that reverting a revision would restore
+ * Only edits (updates, reverts and merges) can be reverted, and only their
+ * REVERTIBLE_FIELDS. Votes, photos and reports never change those fields.
+ * @param {Object} revision - Revision object from getDeviceRevisions
+ * @returns {Object} Map of field to its value before the revision (empty if not revertible)
+ */
+export function getRevertUpdates(revision) {
+  const updates = {};
+  if (!REVERTIBLE_ACTIONS.includes(revision.action)) {
+    return updates;
+  }
+  Object.entries(revision.changes || {}).forEach(([field, change]) => {
+    if (REVERTIBLE_FIELDS.includes(field)) {
+      updates[field] = change.from;
+    }
+  });
+  return updates;
+}
+
+/**
+ * Put back the values a revision changed
+ * The revert is itself recorded as a revision. It is refused if any of the
+ * fields no longer has the value the revision set, so a later change isn't
+ * overwritten and a forged revision can't put back values it never replaced.
+ * @param {string} deviceId - Document ID
+ * @param {Object} revision - Revision object from getDeviceRevisions
+ * @param {string} userId - UID of the user reverting
+ * @returns {Promise<void>}
+ */
+export async function revertRevision(deviceId, revision, userId) {
+  try {
+    const updates = getRevertUpdates(revision);
+    if (Object.keys(updates).length === 0) {
+      throw new Error('Revision has no revertible changes');
+    }
+
+    const expected = {};
+    Object.keys(updates).forEach((field) => {
+      expected[field] = revision.changes[field].to;
+    });
+
+    await updateDevice(deviceId, updates, userId, { action: 'revert', revertOf: revision.id }, expected);
+  } catch (error) {
+    console.error('Error reverting revision:', error);
+    throw error;
+  }
+}
+
 /**
  * Subscribe to real-time updates for a single device
  * @param {string} deviceId - Document ID
- * @param {Function} callback - Callback function that receives the device data
+ * @param {Function} callback - Callback function that receives the device data (null if missing or deleted),
+ *   and for a device merged into another, the ID of that device
  * @returns {Function} Unsubscribe function
  */
 export function subscribeToDevice(deviceId, callback) {
   const docRef = doc(db, DEVICES_COLLECTION, deviceId);
 
   return onSnapshot(docRef, (docSnap) => {
-    if (docSnap.exists()) {
+    if (docSnap.exists() && !docSnap.data().deleted) {
       callback({ id: docSnap.id, ...docSnap.data() });
     } else {
-      callback(null);
+      callback(null, docSnap.exists() ? docSnap.data().mergedInto || null : null);
     }
   }, (error) => {
     console.error('Error in device subscription:', error);
@@ -394,87 +944,1164 @@ export function subscribeToDevice(deviceId, callback) {
 }
 
 /**
- * Thumbs up a device
+ * Confirm a device is still there, or withdraw the user's confirmation
+ * Each confirmation is a document in the device's confirmations subcollection;
+ * the device keeps the count and the time of the latest one. Withdrawing leaves
+ * lastConfirmedAt alone, since an earlier confirmation may still stand.
  * @param {string} deviceId - Document ID
  * @param {string} userId - User UID
- * @returns {Promise<Object>} Success status and updated counts
+ * @param {string} note - Optional note shown with the confirmation (e.g. "still there, now on a new pole")
+ * @returns {Promise<Object>} {success, action: 'added'|'removed', confirmationCount}
  */
-export async function thumbsUpDevice(deviceId, userId) {
+export async function confirmDevice(deviceId, userId, note = null) {
   try {
     const docRef = doc(db, DEVICES_COLLECTION, deviceId);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error('Device not found');
-    }
+    const confirmationRef = doc(db, DEVICES_COLLECTION, deviceId, CONFIRMATIONS_COLLECTION, userId);
 
-    const device = docSnap.data();
-    const hasThumbsUpped = device.thumbsUpUsers?.includes(userId) || false;
+    return await runTransaction(db, async (transaction) => {
+      const docSnap = await transaction.get(docRef);
+      if (!docSnap.exists() || docSnap.data().deleted) {
+        throw new Error('Device not found');
+      }
+      const confirmationSnap = await transaction.get(confirmationRef);
 
-    if (hasThumbsUpped) {
-      // Remove thumbs up
-      await updateDoc(docRef, {
-        thumbsUp: increment(-1),
-        thumbsUpUsers: arrayRemove(userId),
-        updatedAt: serverTimestamp(),
-      });
-      return { success: true, action: 'removed', thumbsUp: (device.thumbsUp || 0) - 1 };
-    } else {
-      // Add thumbs up
-      await updateDoc(docRef, {
-        thumbsUp: increment(1),
-        thumbsUpUsers: arrayUnion(userId),
-        updatedAt: serverTimestamp(),
+      const device = docSnap.data();
+      const hasConfirmed = confirmationSnap.exists();
+      const before = getConfirmationCount(device);
+      const confirmationCount = before + (hasConfirmed ? -1 : 1);
+
+      if (hasConfirmed) {
+        transaction.delete(confirmationRef);
+        transaction.update(docRef, {
+          confirmationCount,
+          updatedAt: serverTimestamp(),
+        });
+      } else {
+        transaction.set(confirmationRef, {
+          note: note || null,
+          createdAt: serverTimestamp(),
+        });
+        transaction.update(docRef, {
+          confirmationCount,
+          lastConfirmedAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        });
+      }
+      writeRevision(transaction, docRef, {
+        action: 'vote',
+        changes: { confirmationCount: { from: before, to: confirmationCount } },
+        changedBy: userId,
       });
-      return { success: true, action: 'added', thumbsUp: (device.thumbsUp || 0) + 1 };
-    }
+
+      return { success: true, action: hasConfirmed ? 'removed' : 'added', confirmationCount };
+    });
   } catch (error) {
-    console.error('Error thumbs upping device:', error);
+    console.error('Error confirming device:', error);
     throw error;
   }
 }
 
 /**
- * Report a device as inactive (no longer here)
+ * Check whether a user has confirmed a device
  * @param {string} deviceId - Document ID
  * @param {string} userId - User UID
- * @returns {Promise<Object>} Success status and updated counts
+ * @returns {Promise<boolean>} True if the user's confirmation exists
  */
-export async function reportDeviceInactive(deviceId, userId) {
+export async function hasConfirmedDevice(deviceId, userId) {
   try {
-    const docRef = doc(db, DEVICES_COLLECTION, deviceId);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error('Device not found');
-    }
-
-    const device = docSnap.data();
-    const hasReportedInactive = device.inactiveReportUsers?.includes(userId) || false;
+    const confirmationSnap = await getDoc(doc(db, DEVICES_COLLECTION, deviceId, CONFIRMATIONS_COLLECTION, userId));
+    return confirmationSnap.exists();
+  } catch (error) {
+    console.error('Error checking confirmation:', error);
+    throw error;
+  }
+}
 
-    if (hasReportedInactive) {
-      // Remove inactive report
-      await updateDoc(docRef, {
-        inactiveReports: increment(-1),
+/**
+ * Get the most recent confirmations of a device
+ * @param {string} deviceId - Document ID
+ * @param {number} maxConfirmations - Maximum number to return (default: 20)
+ * @returns {Promise<Array>} Confirmations {id (the user's uid), note, createdAt}, newest first
+ */
+export async function getDeviceConfirmations(deviceId, maxConfirmations = 20) {
+  try {
+    const q = query(
+      collection(db, DEVICES_COLLECTION, deviceId, CONFIRMATIONS_COLLECTION),
+      orderBy('createdAt', 'desc'),
+      limit(maxConfirmations)
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+  } catch (error) {
+    console.error('Error getting device confirmations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Upload a photo of a device and add it to the device's photos
+ * The photo must already be resized and stripped of metadata by preparePhoto
+ * (utils/photoProcessing.js); storage.rules only accepts small JPEGs.
+ * @param {string} deviceId - Document ID
+ * @param {Object} photo - Prepared photo {blob, width, height}
+ * @param {string} userId - UID of the uploader
+ * @param {Function} onProgress - Optional callback with the upload progress (0-1)
+ * @returns {Promise<Object>} The entry added to the device's photos
+ */
+export async function addDevicePhoto(deviceId, photo, userId, onProgress = null) {
+  const photoId = crypto.randomUUID();
+  const path = `${DEVICE_PHOTOS_PATH}/${deviceId}/${photoId}.jpg`;
+  const fileRef = storageRef(storage, path);
+  let uploaded = false;
+
+  try {
+    const uploadTask = uploadBytesResumable(fileRef, photo.blob, {
+      contentType: 'image/jpeg',
+      customMetadata: { uploadedBy: userId },
+    });
+    if (onProgress) {
+      uploadTask.on('state_changed', (snapshot) => {
+        onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
+      });
+    }
+    await uploadTask;
+    uploaded = true;
+
+    const entry = {
+      id: photoId,
+      path,
+      url: await getDownloadURL(fileRef),
+      width: photo.width,
+      height: photo.height,
+      uploadedBy: userId,
+      // serverTimestamp() isn't allowed inside arrays
+      uploadedAt: Timestamp.now(),
+    };
+
+    const docRef = doc(db, DEVICES_COLLECTION, deviceId);
+    await runTransaction(db, async (transaction) => {
+      const docSnap = await transaction.get(docRef);
+      if (!docSnap.exists() || docSnap.data().deleted) {
+        throw new Error('Device not found');
+      }
+
+      const photos = docSnap.data().photos || [];
+      if (photos.length >= MAX_PHOTOS_PER_DEVICE) {
+        throw new Error(`A device can have at most ${MAX_PHOTOS_PER_DEVICE} photos`);
+      }
+
+      transaction.update(docRef, {
+        photos: [...photos, entry],
+        updatedAt: serverTimestamp(),
+      });
+      writeRevision(transaction, docRef, {
+        action: 'photo',
+        changes: { photoCount: { from: photos.length, to: photos.length + 1 } },
+        changedBy: userId,
+      });
+    });
+
+    return entry;
+  } catch (error) {
+    console.error('Error adding device photo:', error);
+    // Don't leave behind a file that no device points to
+    if (uploaded) {
+      deleteObject(fileRef).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a photo the user added to a device, and delete the file
+ * @param {string} deviceId - Document ID
+ * @param {string} photoId - ID of the photo entry
+ * @param {string} userId - UID of the user removing it (must be the uploader)
+ * @returns {Promise<void>}
+ */
+export async function removeDevicePhoto(deviceId, photoId, userId) {
+  try {
+    const docRef = doc(db, DEVICES_COLLECTION, deviceId);
+
+    const removed = await runTransaction(db, async (transaction) => {
+      const docSnap = await transaction.get(docRef);
+      if (!docSnap.exists() || docSnap.data().deleted) {
+        throw new Error('Device not found');
+      }
+
+      const photos = docSnap.data().photos || [];
+      const photo = photos.find(entry => entry.id === photoId);
+      if (!photo) {
+        throw new Error('Photo not found');
+      }
+      if (photo.uploadedBy !== userId) {
+        throw new Error('Only the uploader can remove a photo');
+      }
+
+      transaction.update(docRef, {
+        photos: photos.filter(entry => entry.id !== photoId),
+        updatedAt: serverTimestamp(),
+      });
+      writeRevision(transaction, docRef, {
+        action: 'photo',
+        changes: { photoCount: { from: photos.length, to: photos.length - 1 } },
+        changedBy: userId,
+      });
+      return photo;
+    });
+
+    // The device no longer shows it, so a failure here only leaves an orphaned file
+    await deleteObject(storageRef(storage, removed.path)).catch((error) => {
+      console.error('Error deleting photo file:', error);
+    });
+  } catch (error) {
+    console.error('Error removing device photo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Report a device as inactive (no longer here)
+ * @param {string} deviceId - Document ID
+ * @param {string} userId - User UID
+ * @returns {Promise<Object>} Success status and updated counts
+ */
+export async function reportDeviceInactive(deviceId, userId) {
+  try {
+    const docRef = doc(db, DEVICES_COLLECTION, deviceId);
+    const docSnap = await getDoc(docRef);
+    
+    if (!docSnap.exists() || docSnap.data().deleted) {
+      throw new Error('Device not found');
+    }
+
+    const device = docSnap.data();
+    const hasReportedInactive = device.inactiveReportUsers?.includes(userId) || false;
+
+    const inactiveReports = (device.inactiveReports || 0) + (hasReportedInactive ? -1 : 1);
+    const batch = writeBatch(db);
+
+    if (hasReportedInactive) {
+      // Remove inactive report
+      batch.update(docRef, {
+        inactiveReports: increment(-1),
         inactiveReportUsers: arrayRemove(userId),
         updatedAt: serverTimestamp(),
       });
-      return { success: true, action: 'removed', inactiveReports: (device.inactiveReports || 0) - 1 };
     } else {
       // Add inactive report
-      await updateDoc(docRef, {
+      batch.update(docRef, {
         inactiveReports: increment(1),
         inactiveReportUsers: arrayUnion(userId),
+        lastInactiveReportAt: serverTimestamp(), // Recency for the device status (utils/deviceStatus)
         updatedAt: serverTimestamp(),
       });
-      return { success: true, action: 'added', inactiveReports: (device.inactiveReports || 0) + 1 };
     }
+    writeRevision(batch, docRef, {
+      action: 'vote',
+      changes: { inactiveReports: { from: device.inactiveReports || 0, to: inactiveReports } },
+      changedBy: userId,
+    });
+    await batch.commit();
+
+    return { success: true, action: hasReportedInactive ? 'removed' : 'added', inactiveReports };
   } catch (error) {
     console.error('Error reporting device inactive:', error);
     throw error;
   }
 }
 
+/**
+ * Propose a change to a device the user doesn't own
+ * @param {string} deviceId - Document ID
+ * @param {Object} changes - New values, keyed by field (see SUGGESTIBLE_FIELDS)
+ * @param {string} reason - Optional explanation shown to the owner and other users
+ * @param {Object} user - Firebase user object of the suggester
+ * @returns {Promise<string>} Document ID of the new suggestion
+ */
+export async function addSuggestion(deviceId, changes, reason, user) {
+  try {
+    const docRef = await addDoc(collection(db, DEVICES_COLLECTION, deviceId, SUGGESTIONS_COLLECTION), {
+      changes,
+      reason: reason || null,
+      suggestedBy: {
+        uid: user.uid,
+        isAnonymous: user.isAnonymous,
+      },
+      status: 'pending',
+      confirmations: 0,
+      confirmedBy: [], // Array of user UIDs who have confirmed the suggestion
+      createdAt: serverTimestamp(),
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding suggestion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the suggestions for a device that haven't been applied or rejected yet
+ * @param {string} deviceId - Document ID
+ * @returns {Promise<Array>} Array of suggestion objects, newest first
+ */
+export async function getPendingSuggestions(deviceId) {
+  try {
+    const q = query(
+      collection(db, DEVICES_COLLECTION, deviceId, SUGGESTIONS_COLLECTION),
+      where('status', '==', 'pending')
+    );
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0));
+  } catch (error) {
+    console.error('Error getting suggestions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Confirm someone else's suggestion
+ * @param {string} deviceId - Document ID
+ * @param {string} suggestionId - Suggestion document ID
+ * @param {string} userId - User UID
+ * @returns {Promise<Object>} Success status and updated confirmation count
+ */
+export async function confirmSuggestion(deviceId, suggestionId, userId) {
+  try {
+    const docRef = doc(db, DEVICES_COLLECTION, deviceId, SUGGESTIONS_COLLECTION, suggestionId);
+
+    return await runTransaction(db, async (transaction) => {
+      const docSnap = await transaction.get(docRef);
+      if (!docSnap.exists() || docSnap.data().status !== 'pending') {
+        throw new Error('Suggestion not found');
+      }
+
+      const suggestion = docSnap.data();
+      const confirmedBy = suggestion.confirmedBy || [];
+      if (confirmedBy.includes(userId)) {
+        return { success: true, action: 'unchanged', confirmations: confirmedBy.length };
+      }
+
+      transaction.update(docRef, {
+        confirmations: confirmedBy.length + 1,
+        confirmedBy: [...confirmedBy, userId],
+      });
+      return { success: true, action: 'added', confirmations: confirmedBy.length + 1 };
+    });
+  } catch (error) {
+    console.error('Error confirming suggestion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a suggestion to its device
+ * Allowed for the device's owner, or for anyone once the suggestion has
+ * SUGGESTION_CONFIRMATION_THRESHOLD confirmations. The device records the
+ * applied suggestion's ID, which is what lets the suggestion be marked applied;
+ * the device, its revision and the suggestion are written together.
+ * @param {string} deviceId - Document ID
+ * @param {Object} suggestion - Suggestion object from getPendingSuggestions
+ * @param {string} userId - UID of the user applying it
+ * @returns {Promise<void>}
+ */
+export async function applySuggestion(deviceId, suggestion, userId) {
+  try {
+    const docRef = doc(db, DEVICES_COLLECTION, deviceId);
+    const suggestionRef = doc(db, DEVICES_COLLECTION, deviceId, SUGGESTIONS_COLLECTION, suggestion.id);
+
+    await runTransaction(db, async (transaction) => {
+      const suggestionSnap = await transaction.get(suggestionRef);
+      if (!suggestionSnap.exists() || suggestionSnap.data().status !== 'pending') {
+        throw new Error('Suggestion not found');
+      }
+
+      await updateDeviceInTransaction(transaction, docRef, {
+        ...suggestionSnap.data().changes,
+        appliedSuggestionId: suggestion.id,
+      }, userId, { suggestionId: suggestion.id });
+      transaction.update(suggestionRef, {
+        status: 'applied',
+        resolvedAt: serverTimestamp(),
+        resolvedBy: userId,
+      });
+    });
+  } catch (error) {
+    console.error('Error applying suggestion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reject a suggestion (device owner only)
+ * @param {string} deviceId - Document ID
+ * @param {string} suggestionId - Suggestion document ID
+ * @param {string} userId - UID of the device owner
+ * @returns {Promise<void>}
+ */
+export async function rejectSuggestion(deviceId, suggestionId, userId) {
+  try {
+    await updateDoc(doc(db, DEVICES_COLLECTION, deviceId, SUGGESTIONS_COLLECTION, suggestionId), {
+      status: 'rejected',
+      resolvedAt: serverTimestamp(),
+      resolvedBy: userId,
+    });
+  } catch (error) {
+    console.error('Error rejecting suggestion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start handing a guest user's submissions over to an email account
+ * Called while still signed in as the guest, just before signing in to the account.
+ * The returned token is kept client-side and presented by the account afterwards
+ * to prove it is the one the guest meant.
+ * @param {string} guestUid - UID of the anonymous user
+ * @returns {Promise<string>} Transfer token
+ */
+export async function startAccountTransfer(guestUid) {
+  try {
+    const token = crypto.randomUUID();
+    await setDoc(doc(db, ACCOUNT_TRANSFERS_COLLECTION, guestUid), {
+      fromUid: guestUid,
+      token,
+      createdAt: serverTimestamp(),
+    });
+    return token;
+  } catch (error) {
+    console.error('Error starting account transfer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a guest user's submissions to the signed-in account
+ * Claims the transfer started by startAccountTransfer, then rewrites reportedBy
+ * on every device the guest submitted (tombstones included)
+ * @param {string} guestUid - UID of the anonymous user
+ * @param {string} token - Token returned by startAccountTransfer
+ * @param {Object} user - The account now signed in
+ * @returns {Promise<number>} Number of devices moved
+ */
+export async function completeAccountTransfer(guestUid, token, user) {
+  try {
+    await updateDoc(doc(db, ACCOUNT_TRANSFERS_COLLECTION, guestUid), {
+      toUid: user.uid,
+      claimToken: token,
+      claimedAt: serverTimestamp(),
+    });
+
+    const snapshot = await getDocs(query(
+      collection(db, DEVICES_COLLECTION),
+      where('reportedBy.uid', '==', guestUid)
+    ));
+
+    const reportedBy = { uid: user.uid, isAnonymous: user.isAnonymous };
+    for (let i = 0; i < snapshot.docs.length; i += MAX_DEVICES_PER_BATCH) {
+      const batch = writeBatch(db);
+      snapshot.docs.slice(i, i + MAX_DEVICES_PER_BATCH).forEach((docSnap) => {
+        batch.update(docSnap.ref, {
+          reportedBy,
+          updatedAt: serverTimestamp(),
+        });
+        writeRevision(batch, docSnap.ref, {
+          action: 'transfer',
+          changes: { reportedBy: { from: docSnap.data().reportedBy, to: reportedBy } },
+          changedBy: user.uid,
+        });
+      });
+      await batch.commit();
+    }
+
+    return snapshot.size;
+  } catch (error) {
+    console.error('Error completing account transfer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's moderation role
+ * @param {string} userId - User UID
+ * @returns {Promise<string|null>} Role name (see MODERATOR_ROLES) or null for regular users
+ */
+export async function getUserRole(userId) {
+  try {
+    const docSnap = await getDoc(doc(db, ROLES_COLLECTION, userId));
+    return docSnap.exists() ? docSnap.data().role || null : null;
+  } catch (error) {
+    console.error('Error getting user role:', error);
+    throw error;
+  }
+}
+
+/**
+ * Report a device as fake, a privacy problem, a duplicate, etc.
+ * Each user can report a device once, and must wait REPORT_COOLDOWN_SECONDS
+ * between reports. The report that reaches REPORT_HIDE_THRESHOLD hides the
+ * device until a moderator reviews it.
+ * @param {string} deviceId - Document ID
+ * @param {Object} report - Report details
+ * @param {string} report.reason - One of REPORT_REASONS
+ * @param {string} report.details - Optional free-text explanation
+ * @param {string} report.duplicateOf - ID of the original device (duplicate reports only)
+ * @param {string} userId - UID of the reporter
+ * @returns {Promise<Object>} {success, hidden} or {success: false, error: 'already-reported' | 'too-soon'}
+ */
+export async function reportDevice(deviceId, { reason, details = null, duplicateOf = null }, userId) {
+  try {
+    const deviceRef = doc(db, DEVICES_COLLECTION, deviceId);
+    const reportRef = doc(deviceRef, REPORTS_COLLECTION, userId);
+    const throttleRef = doc(db, REPORT_THROTTLE_COLLECTION, userId);
+
+    return await runTransaction(db, async (transaction) => {
+      const [deviceSnap, reportSnap, throttleSnap] = await Promise.all([
+        transaction.get(deviceRef),
+        transaction.get(reportRef),
+        transaction.get(throttleRef),
+      ]);
+
+      if (!deviceSnap.exists() || deviceSnap.data().deleted) {
+        throw new Error('Device not found');
+      }
+      if (reportSnap.exists()) {
+        return { success: false, error: 'already-reported' };
+      }
+      const lastReportAt = throttleSnap.exists() ? throttleSnap.data().lastReportAt : null;
+      if (lastReportAt && Date.now() - lastReportAt.toMillis() < REPORT_COOLDOWN_SECONDS * 1000) {
+        return { success: false, error: 'too-soon' };
+      }
+
+      const device = deviceSnap.data();
+      const reportCount = (device.reportCount || 0) + 1;
+      const hide = reportCount >= REPORT_HIDE_THRESHOLD;
+      const deviceUpdates = { reportCount };
+      if (hide) {
+        // Hidden like a moderator hide (see hideDevice), but marked as automatic
+        Object.assign(deviceUpdates, {
+          deleted: true,
+          hidden: true,
+          hiddenAt: serverTimestamp(),
+          hiddenReason: 'reports',
+        });
+      }
+
+      transaction.set(reportRef, {
+        reason,
+        details: details || null,
+        duplicateOf: reason === 'duplicate' && duplicateOf ? duplicateOf : null,
+        reporterUid: userId,
+        createdAt: serverTimestamp(),
+      });
+      transaction.set(throttleRef, { lastReportAt: serverTimestamp() });
+      transaction.update(deviceRef, {
+        ...deviceUpdates,
+        updatedAt: serverTimestamp(),
+      });
+      writeRevision(transaction, deviceRef, {
+        action: 'report',
+        changes: diffDeviceFields(device, { ...device, ...deviceUpdates }),
+        changedBy: userId,
+      });
+
+      return { success: true, hidden: hide };
+    });
+  } catch (error) {
+    console.error('Error reporting device:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get devices with unreviewed abuse reports, for the moderation queue
+ * Includes devices the reports have already hidden.
+ * @param {number} maxDevices - Maximum number of devices to return (default: 50)
+ * @returns {Promise<Array>} Array of device objects, most reported first, each with its reports
+ */
+export async function getFlaggedDevices(maxDevices = 50) {
+  try {
+    const q = query(
+      collection(db, DEVICES_COLLECTION),
+      where('reportCount', '>', 0),
+      orderBy('reportCount', 'desc'),
+      limit(maxDevices)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const devices = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    // Only reports made since the device was last reviewed are still open
+    const reports = await Promise.all(devices.map(async (device) => {
+      const reportsSnapshot = await getDocs(collection(db, DEVICES_COLLECTION, device.id, REPORTS_COLLECTION));
+      const reviewedAt = device.reportsReviewedAt?.toMillis() || 0;
+      return reportsSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(report => (report.createdAt?.toMillis() || 0) > reviewedAt);
+    }));
+
+    return devices.map((device, index) => ({ ...device, reports: reports[index] }));
+  } catch (error) {
+    console.error('Error getting flagged devices:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get live devices with many "Not Here" reports, for the moderation queue
+ * @param {number} minReports - Minimum number of reports (default: MODERATION_INACTIVE_THRESHOLD)
+ * @param {number} maxDevices - Maximum number of devices to return (default: 50)
+ * @returns {Promise<Array>} Array of device objects, most reported first
+ */
+export async function getDevicesWithInactiveReports(minReports = MODERATION_INACTIVE_THRESHOLD, maxDevices = 50) {
+  try {
+    const q = query(
+      collection(db, DEVICES_COLLECTION),
+      where('inactiveReports', '>=', minReports),
+      orderBy('inactiveReports', 'desc'),
+      limit(maxDevices)
+    );
+
+    const querySnapshot = await getDocs(q);
+    return getLiveDevices(querySnapshot);
+  } catch (error) {
+    console.error('Error getting reported devices:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get recent submissions from accounts that only started submitting recently
+ * OSM imports are left out; they are attributed to whoever ran the import.
+ * @param {number} days - How recent an account's first submission must be (default: NEW_ACCOUNT_DAYS)
+ * @param {number} maxDevices - Maximum number of devices to return (default: 50)
+ * @returns {Promise<Array>} Array of device objects, newest first, each with reporterSubmissionCount
+ */
+export async function getNewAccountSubmissions(days = NEW_ACCOUNT_DAYS, maxDevices = 50) {
+  try {
+    const cutoff = Timestamp.fromMillis(Date.now() - days * 24 * 60 * 60 * 1000);
+    const q = query(
+      collection(db, DEVICES_COLLECTION),
+      where('createdAt', '>=', cutoff),
+      orderBy('createdAt', 'desc'),
+      limit(maxDevices * 4)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const recentDevices = getLiveDevices(querySnapshot)
+      .filter(device => device.osmId == null && device.reportedBy?.uid);
+
+    // An account is new if even its oldest submission is within the window
+    const reporterIds = [...new Set(recentDevices.map(device => device.reportedBy.uid))];
+    const reporterDevices = await Promise.all(reporterIds.map(uid => getDevicesByUser(uid)));
+    const newReporters = new Map();
+    reporterIds.forEach((uid, index) => {
+      const devices = reporterDevices[index];
+      const oldest = devices[devices.length - 1];
+      if (!oldest?.createdAt || oldest.createdAt.toMillis() >= cutoff.toMillis()) {
+        newReporters.set(uid, devices.length);
+      }
+    });
+
+    return recentDevices
+      .filter(device => newReporters.has(device.reportedBy.uid))
+      .slice(0, maxDevices)
+      .map(device => ({ ...device, reporterSubmissionCount: newReporters.get(device.reportedBy.uid) }));
+  } catch (error) {
+    console.error('Error getting new account submissions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get devices hidden by moderators
+ * @param {number} maxDevices - Maximum number of devices to return (default: 50)
+ * @returns {Promise<Array>} Array of device objects, most recently hidden first
+ */
+export async function getHiddenDevices(maxDevices = 50) {
+  try {
+    const q = query(
+      collection(db, DEVICES_COLLECTION),
+      where('hidden', '==', true),
+      limit(maxDevices)
+    );
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (b.hiddenAt?.toMillis() || 0) - (a.hiddenAt?.toMillis() || 0));
+  } catch (error) {
+    console.error('Error getting hidden devices:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get tombstones that can still be restored (not yet purged)
+ * @param {number} maxDevices - Maximum number of devices to return (default: 50)
+ * @returns {Promise<Array>} Array of device objects, most recently deleted first
+ */
+export async function getRecentlyDeletedDevices(maxDevices = 50) {
+  try {
+    const cutoff = Timestamp.fromMillis(Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    // Only tombstones have deletedAt, so this needs no composite index
+    const q = query(
+      collection(db, DEVICES_COLLECTION),
+      where('deletedAt', '>=', cutoff),
+      orderBy('deletedAt', 'desc'),
+      limit(maxDevices)
+    );
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error('Error getting deleted devices:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the most recent moderator actions
+ * @param {number} maxEntries - Maximum number of entries to return (default: 50)
+ * @returns {Promise<Array>} Array of log entries, newest first
+ */
+export async function getModerationLog(maxEntries = 50) {
+  try {
+    const q = query(
+      collection(db, MODERATION_LOG_COLLECTION),
+      orderBy('createdAt', 'desc'),
+      limit(maxEntries)
+    );
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error('Error getting moderation log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a moderator action to one device in a single batch, together with its
+ * log entry and revision. The device points at the log entry through
+ * lastModerationId, which is how firestore.rules makes logging mandatory.
+ * @param {string} action - 'hide', 'restore', 'delete' or 'dismiss'
+ * @param {string} deviceId - Document ID
+ * @param {string} moderatorUid - UID of the moderator
+ * @param {string} reason - Optional reason, kept in the log
+ * @param {Object} updates - Device fields to write
+ * @returns {Promise<void>}
+ */
+async function moderateDevice(action, deviceId, moderatorUid, reason, updates) {
+  const deviceRef = doc(db, DEVICES_COLLECTION, deviceId);
+  const docSnap = await getDoc(deviceRef);
+  if (!docSnap.exists()) {
+    throw new Error('Device not found');
+  }
+
+  const before = docSnap.data();
+  const logRef = doc(collection(db, MODERATION_LOG_COLLECTION));
+  const batch = writeBatch(db);
+
+  batch.set(logRef, {
+    action,
+    deviceId,
+    reason: reason || null,
+    moderatorUid,
+    createdAt: serverTimestamp(),
+  });
+  batch.update(deviceRef, {
+    ...updates,
+    lastModerationId: logRef.id,
+    updatedAt: serverTimestamp(),
+  });
+
+  // Sentinels (deleteField, serverTimestamp) aren't values; a deleted field reads as null in the diff
+  const after = { ...before };
+  Object.entries(updates).forEach(([field, value]) => {
+    after[field] = typeof value === 'object' && value !== null ? null : value;
+  });
+  writeRevision(batch, deviceRef, {
+    action,
+    changes: diffDeviceFields(before, after),
+    changedBy: moderatorUid,
+  });
+
+  await batch.commit();
+}
+
+/**
+ * Hide a device from everyone until a moderator restores or deletes it
+ * Hidden devices are tombstones without deletedAt, so they sync out of
+ * caches like deletions but are never purged.
+ * @param {string} deviceId - Document ID
+ * @param {string} moderatorUid - UID of the moderator
+ * @param {string} reason - Optional reason, kept in the log
+ * @returns {Promise<void>}
+ */
+export async function hideDevice(deviceId, moderatorUid, reason = null) {
+  try {
+    await moderateDevice('hide', deviceId, moderatorUid, reason, {
+      deleted: true,
+      hidden: true,
+      hiddenAt: serverTimestamp(),
+      hiddenBy: moderatorUid,
+    });
+  } catch (error) {
+    console.error('Error hiding device:', error);
+    throw error;
+  }
+}
+
+/**
+ * Bring back a hidden, deleted or merged device
+ * @param {string} deviceId - Document ID
+ * @param {string} moderatorUid - UID of the moderator
+ * @param {string} reason - Optional reason, kept in the log
+ * @returns {Promise<void>}
+ */
+export async function restoreDevice(deviceId, moderatorUid, reason = null) {
+  try {
+    await moderateDevice('restore', deviceId, moderatorUid, reason, {
+      deleted: false,
+      hidden: false,
+      hiddenReason: deleteField(),
+      // Without deletedAt the device is no longer a purge candidate
+      deletedAt: deleteField(),
+      deletedBy: deleteField(),
+      mergedInto: deleteField(),
+      // Restoring counts as reviewing any abuse reports
+      reportCount: 0,
+      reportsReviewedAt: serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error restoring device:', error);
+    throw error;
+  }
+}
+
+/**
+ * Close the abuse reports on a device without acting on it
+ * @param {string} deviceId - Document ID
+ * @param {string} moderatorUid - UID of the moderator
+ * @param {string} reason - Optional reason, kept in the log
+ * @returns {Promise<void>}
+ */
+export async function dismissReports(deviceId, moderatorUid, reason = null) {
+  try {
+    await moderateDevice('dismiss', deviceId, moderatorUid, reason, {
+      reportCount: 0,
+      reportsReviewedAt: serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error dismissing reports:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete any user's device (leaves a tombstone that is purged after the retention window)
+ * @param {string} deviceId - Document ID
+ * @param {string} moderatorUid - UID of the moderator
+ * @param {string} reason - Optional reason, kept in the log
+ * @returns {Promise<void>}
+ */
+export async function moderatorDeleteDevice(deviceId, moderatorUid, reason = null) {
+  try {
+    await moderateDevice('delete', deviceId, moderatorUid, reason, {
+      deleted: true,
+      deletedAt: serverTimestamp(),
+      deletedBy: moderatorUid,
+      hidden: false,
+    });
+  } catch (error) {
+    console.error('Error deleting device:', error);
+    throw error;
+  }
+}
+
+/**
+ * Photos of two devices being merged, the kept device's first
+ * When there are more than MAX_PHOTOS_PER_DEVICE, the merge must say which to keep.
+ * @param {Object} target - Device to keep
+ * @param {Object} source - Duplicate being merged into it
+ * @returns {Array<Object>} Photo entries
+ */
+export function combineMergePhotos(target, source) {
+  const targetPhotos = target.photos || [];
+  const targetPhotoIds = new Set(targetPhotos.map(photo => photo.id));
+  return [...targetPhotos, ...(source.photos || []).filter(photo => !targetPhotoIds.has(photo.id))];
+}
+
+/**
+ * Confirmations on a duplicate that the device it is merged into doesn't have
+ * @param {Object} sourceRef - Duplicate's document reference
+ * @param {Object} targetRef - Kept device's document reference
+ * @returns {Promise<Array>} Confirmation document snapshots of the duplicate
+ */
+async function getMissingConfirmations(sourceRef, targetRef) {
+  const [sourceConfirmations, targetConfirmations] = await Promise.all([
+    getDocs(collection(sourceRef, CONFIRMATIONS_COLLECTION)),
+    getDocs(collection(targetRef, CONFIRMATIONS_COLLECTION)),
+  ]);
+  const targetConfirmerIds = new Set(targetConfirmations.docs.map(confirmation => confirmation.id));
+  return sourceConfirmations.docs.filter(confirmation => !targetConfirmerIds.has(confirmation.id));
+}
+
+/**
+ * Work out how a duplicate folds into the device that survives a merge
+ * Votes and confirmations are counted once per user, photos are combined, and
+ * the description, address and direction are carried over. The OSM link stays
+ * on the duplicate, whose document re-imports skip.
+ * @param {string} sourceId - Document ID of the duplicate
+ * @param {string} targetId - Document ID of the device to keep
+ * @param {Array<string>|null} keepPhotoIds - Photos to keep when the devices have more than MAX_PHOTOS_PER_DEVICE together
+ * @returns {Promise<Object>} {sourceRef, targetRef, source, target, newConfirmations, droppedPhotos, targetUpdates}
+ */
+async function prepareMerge(sourceId, targetId, keepPhotoIds = null) {
+  if (sourceId === targetId) {
+    throw new Error('Cannot merge a device into itself');
+  }
+
+  const sourceRef = doc(db, DEVICES_COLLECTION, sourceId);
+  const targetRef = doc(db, DEVICES_COLLECTION, targetId);
+  const [sourceSnap, targetSnap] = await Promise.all([getDoc(sourceRef), getDoc(targetRef)]);
+  if (!sourceSnap.exists() || sourceSnap.data().deleted) {
+    throw new Error('Device to merge not found');
+  }
+  if (!targetSnap.exists() || targetSnap.data().deleted) {
+    throw new Error('Target device not found');
+  }
+
+  const source = sourceSnap.data();
+  const target = targetSnap.data();
+
+  // Count each voter once across both devices
+  const newConfirmations = await getMissingConfirmations(sourceRef, targetRef);
+  const newInactiveUsers = (source.inactiveReportUsers || []).filter(uid => !(target.inactiveReportUsers || []).includes(uid));
+  const targetUpdates = {
+    confirmationCount: getConfirmationCount(target) + newConfirmations.length,
+    inactiveReports: (target.inactiveReports || 0) + newInactiveUsers.length,
+    inactiveReportUsers: [...(target.inactiveReportUsers || []), ...newInactiveUsers],
+  };
+  if (newConfirmations.length > 0 && (source.lastConfirmedAt?.toMillis() || 0) > (target.lastConfirmedAt?.toMillis() || 0)) {
+    targetUpdates.lastConfirmedAt = source.lastConfirmedAt;
+  }
+
+  // Both descriptions are kept when they say different things
+  if (source.description && source.description !== target.description) {
+    targetUpdates.description = target.description ? `${target.description}\n\n${source.description}` : source.description;
+  }
+  if (source.address && !target.address) {
+    targetUpdates.address = source.address;
+  }
+  if (source.direction != null && target.direction == null) {
+    targetUpdates.direction = source.direction;
+    targetUpdates.fov = source.fov ?? null;
+  }
+  let droppedPhotos = [];
+  if ((source.photos || []).length > 0) {
+    const photos = combineMergePhotos(target, source);
+    if (photos.length > MAX_PHOTOS_PER_DEVICE) {
+      if (!keepPhotoIds) {
+        throw new Error(`Together these devices have ${photos.length} photos; choose at most ${MAX_PHOTOS_PER_DEVICE} to keep`);
+      }
+      targetUpdates.photos = photos.filter(photo => keepPhotoIds.includes(photo.id));
+      if (targetUpdates.photos.length > MAX_PHOTOS_PER_DEVICE) {
+        throw new Error(`Choose at most ${MAX_PHOTOS_PER_DEVICE} photos to keep`);
+      }
+      droppedPhotos = photos.filter(photo => !keepPhotoIds.includes(photo.id));
+    } else {
+      targetUpdates.photos = photos;
+    }
+  }
+
+  return { sourceRef, targetRef, source, target, newConfirmations, droppedPhotos, targetUpdates };
+}
+
+/**
+ * Add the writes of a merge to a batch: the duplicate becomes a redirect
+ * tombstone (mergedInto) and the survivor takes the folded-in fields.
+ * Confirmations are copied afterwards by finishMerge.
+ * @param {Object} batch - Firestore WriteBatch
+ * @param {Object} merge - Result of prepareMerge
+ * @param {string} userId - UID of the user merging
+ * @param {Object} extraUpdates - Fields to set on both devices (e.g. lastModerationId)
+ */
+function writeMerge(batch, { sourceRef, targetRef, source, target, targetUpdates }, userId, extraUpdates = {}) {
+  batch.update(sourceRef, {
+    deleted: true,
+    deletedAt: serverTimestamp(),
+    deletedBy: userId,
+    mergedInto: targetRef.id,
+    ...extraUpdates,
+    updatedAt: serverTimestamp(),
+  });
+  batch.update(targetRef, {
+    ...targetUpdates,
+    lastMergedFrom: sourceRef.id,
+    ...extraUpdates,
+    updatedAt: serverTimestamp(),
+  });
+  writeRevision(batch, sourceRef, {
+    action: 'merge',
+    changes: diffDeviceFields(source, { ...source, deleted: true, mergedInto: targetRef.id }),
+    changedBy: userId,
+  });
+  const targetChanges = diffDeviceFields(target, { ...target, ...targetUpdates });
+  if (targetUpdates.photos && targetUpdates.photos.length !== (target.photos || []).length) {
+    targetChanges.photoCount = { from: (target.photos || []).length, to: targetUpdates.photos.length };
+  }
+  writeRevision(batch, targetRef, {
+    action: 'merge',
+    changes: targetChanges,
+    changedBy: userId,
+  });
+}
+
+/**
+ * Copy a merged duplicate's confirmations to the kept device
+ * Confirmations go in batches of MERGE_CONFIRMATIONS_PER_BATCH, which
+ * firestore.rules allows while the kept device still points at the duplicate
+ * (lastMergedFrom): for an hour after the merge, and to moderators at any time.
+ * The merge already counted them, so an interrupted copy is finished by
+ * merging again (see resumeMerge).
+ * @param {Object} targetRef - Kept device's document reference
+ * @param {Array} confirmations - Confirmation document snapshots from getMissingConfirmations
+ * @returns {Promise<void>}
+ */
+async function copyMergedConfirmations(targetRef, confirmations) {
+  try {
+    // Confirmations move with their original time and note
+    for (let i = 0; i < confirmations.length; i += MERGE_CONFIRMATIONS_PER_BATCH) {
+      const confirmationBatch = writeBatch(db);
+      confirmations.slice(i, i + MERGE_CONFIRMATIONS_PER_BATCH).forEach((confirmation) => {
+        confirmationBatch.set(doc(targetRef, CONFIRMATIONS_COLLECTION, confirmation.id), confirmation.data());
+      });
+      await confirmationBatch.commit();
+    }
+  } catch (error) {
+    console.error('Error copying merged confirmations:', error);
+    throw new Error('The devices were merged, but not all confirmations were copied. Merge them again to finish.');
+  }
+}
+
+/**
+ * Commit a merge, then copy the duplicate's confirmations to the kept device
+ * and delete the files of photos the merge dropped
+ * @param {Object} batch - Firestore WriteBatch holding the merge (see writeMerge)
+ * @param {Object} merge - Result of prepareMerge
+ * @returns {Promise<void>}
+ */
+async function finishMerge(batch, { targetRef, newConfirmations, droppedPhotos }) {
+  await batch.commit();
+
+  await copyMergedConfirmations(targetRef, newConfirmations);
+
+  // No device shows these any more, so a failure only leaves orphaned files
+  await Promise.all(droppedPhotos.map(photo => (
+    deleteObject(storageRef(storage, photo.path)).catch((error) => {
+      console.error('Error deleting photo file:', error);
+    })
+  )));
+}
+
+/**
+ * Finish a merge whose confirmation copy was interrupted
+ * Merging a duplicate again into the device it was merged into copies the
+ * confirmations still missing instead of failing.
+ * @param {string} sourceId - Document ID of the duplicate
+ * @param {string} targetId - Document ID of the device to keep
+ * @returns {Promise<boolean>} Whether the duplicate was already merged into the target
+ */
+async function resumeMerge(sourceId, targetId) {
+  const sourceRef = doc(db, DEVICES_COLLECTION, sourceId);
+  const targetRef = doc(db, DEVICES_COLLECTION, targetId);
+  const sourceSnap = await getDoc(sourceRef);
+  if (!sourceSnap.exists() || sourceSnap.data().mergedInto !== targetId) {
+    return false;
+  }
+
+  await copyMergedConfirmations(targetRef, await getMissingConfirmations(sourceRef, targetRef));
+  return true;
+}
+
+/**
+ * Merge a duplicate device into another one (moderators)
+ * The duplicate becomes a tombstone pointing at the target (mergedInto), and
+ * its votes, confirmations, photos and details are folded into the target.
+ * Merging a pair again finishes an interrupted copy of the confirmations.
+ * @param {string} sourceId - Document ID of the duplicate
+ * @param {string} targetId - Document ID of the device to keep
+ * @param {string} moderatorUid - UID of the moderator
+ * @param {string} reason - Optional reason, kept in the log
+ * @param {Array<string>|null} keepPhotoIds - Photos to keep when the devices have more than
+ *   MAX_PHOTOS_PER_DEVICE together (see combineMergePhotos); the others are deleted
+ * @returns {Promise<void>}
+ */
+export async function mergeDevices(sourceId, targetId, moderatorUid, reason = null, keepPhotoIds = null) {
+  try {
+    if (await resumeMerge(sourceId, targetId)) {
+      return;
+    }
+
+    const merge = await prepareMerge(sourceId, targetId, keepPhotoIds);
+    const logRef = doc(collection(db, MODERATION_LOG_COLLECTION));
+    const batch = writeBatch(db);
+
+    batch.set(logRef, {
+      action: 'merge',
+      deviceId: sourceId,
+      targetDeviceId: targetId,
+      reason: reason || null,
+      moderatorUid,
+      createdAt: serverTimestamp(),
+    });
+    writeMerge(batch, merge, moderatorUid, { lastModerationId: logRef.id });
+
+    await finishMerge(batch, merge);
+  } catch (error) {
+    console.error('Error merging devices:', error);
+    throw error;
+  }
+}
+
+/**
+ * Merge one of the user's own submissions into another device
+ * Works like mergeDevices, without the moderation log; the user must own the duplicate.
+ * Photos can't be dropped, so devices with more than MAX_PHOTOS_PER_DEVICE
+ * together need a moderator.
+ * @param {string} sourceId - Document ID of the user's duplicate
+ * @param {string} targetId - Document ID of the device to keep
+ * @param {string} userId - UID of the duplicate's owner
+ * @returns {Promise<void>}
+ */
+export async function mergeOwnDevice(sourceId, targetId, userId) {
+  try {
+    if (await resumeMerge(sourceId, targetId)) {
+      return;
+    }
+
+    const merge = await prepareMerge(sourceId, targetId);
+    if (merge.source.reportedBy?.uid !== userId) {
+      throw new Error('You can only merge devices you submitted');
+    }
+
+    const batch = writeBatch(db);
+    writeMerge(batch, merge, userId);
+    await finishMerge(batch, merge);
+  } catch (error) {
+    console.error('Error merging own device:', error);
+    throw error;
+  }
+}
+
 /**
  * Search for address autocomplete suggestions using OpenStreetMap Nominatim
  * @param {string} query - Search query
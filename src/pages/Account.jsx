@@ -0,0 +1,417 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import { getDevicesByUser, startAccountTransfer, completeAccountTransfer } from '../firebase/services'
+
+// Friendlier messages for the Firebase Auth errors people actually hit
+const AUTH_ERROR_MESSAGES = {
+  'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+  'auth/credential-already-in-use': 'An account with this email already exists. Sign in instead.',
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/weak-password': 'Password must be at least 6 characters.',
+  'auth/invalid-credential': 'Incorrect email or password.',
+  'auth/wrong-password': 'Incorrect email or password.',
+  'auth/user-not-found': 'Incorrect email or password.',
+  'auth/too-many-requests': 'Too many attempts. Please wait a few minutes and try again.',
+  'auth/network-request-failed': 'Network error. Check your connection and try again.',
+}
+
+const getAuthErrorMessage = (result) => {
+  return AUTH_ERROR_MESSAGES[result.code] || 'Something went wrong. Please try again.'
+}
+
+// Email and password fields shared by the create-account and sign-in forms
+function CredentialsFields({ email, password, onEmailChange, onPasswordChange, showPassword = true }) {
+  return (
+    <>
+      <div className="mb-4">
+        <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+          Email
+        </label>
+        <input
+          type="email"
+          id="email"
+          value={email}
+          onChange={(e) => onEmailChange(e.target.value)}
+          required
+          autoComplete="email"
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      {showPassword && (
+        <div className="mb-4">
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+            Password
+          </label>
+          <input
+            type="password"
+            id="password"
+            value={password}
+            onChange={(e) => onPasswordChange(e.target.value)}
+            required
+            minLength={6}
+            autoComplete="current-password"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      )}
+    </>
+  )
+}
+
+function Account() {
+  const {
+    currentUser,
+    linkAccount,
+    signIn,
+    signOut,
+    resetPassword,
+    sendVerificationEmail,
+    refreshUser,
+  } = useAuth()
+  // 'link' (create an account for this guest), 'signin' or 'reset'
+  const [mode, setMode] = useState('link')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [working, setWorking] = useState(false)
+  const [message, setMessage] = useState({ type: '', text: '' })
+  // Submissions made as a guest, which are lost on sign-in unless moved to the account
+  const [guestSubmissionCount, setGuestSubmissionCount] = useState(0)
+  const [moveGuestSubmissions, setMoveGuestSubmissions] = useState(true)
+
+  const isGuest = currentUser?.isAnonymous
+
+  useEffect(() => {
+    if (!currentUser?.isAnonymous) {
+      setGuestSubmissionCount(0)
+      return
+    }
+
+    let cancelled = false
+    getDevicesByUser(currentUser.uid)
+      .then((devices) => {
+        if (!cancelled) {
+          setGuestSubmissionCount(devices.length)
+        }
+      })
+      .catch(() => {
+        // The count is only informational
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [currentUser])
+
+  const switchMode = (newMode) => {
+    setMode(newMode)
+    setMessage({ type: '', text: '' })
+  }
+
+  // Turn the guest into an email account; uid and submissions are kept
+  const handleLink = async (e) => {
+    e.preventDefault()
+    setWorking(true)
+    setMessage({ type: '', text: '' })
+
+    const result = await linkAccount(email, password)
+    if (result.success) {
+      await sendVerificationEmail()
+      setPassword('')
+      setMessage({
+        type: 'success',
+        text: 'Account created. We sent you an email to verify your address.'
+      })
+    } else {
+      setMessage({ type: 'error', text: getAuthErrorMessage(result) })
+    }
+    setWorking(false)
+  }
+
+  // Sign in to an existing account, optionally bringing this guest's submissions along
+  const handleSignIn = async (e) => {
+    e.preventDefault()
+    setWorking(true)
+    setMessage({ type: '', text: '' })
+
+    const guestUid = isGuest ? currentUser.uid : null
+    let transferToken = null
+    if (guestUid && guestSubmissionCount > 0 && moveGuestSubmissions) {
+      try {
+        transferToken = await startAccountTransfer(guestUid)
+      } catch (error) {
+        console.error('Error starting account transfer:', error)
+        setMessage({ type: 'error', text: 'Could not prepare your guest submissions for transfer. Please try again.' })
+        setWorking(false)
+        return
+      }
+    }
+
+    const result = await signIn(email, password)
+    if (!result.success) {
+      setMessage({ type: 'error', text: getAuthErrorMessage(result) })
+      setWorking(false)
+      return
+    }
+
+    setPassword('')
+    if (transferToken) {
+      try {
+        const moved = await completeAccountTransfer(guestUid, transferToken, result.user)
+        setMessage({
+          type: 'success',
+          text: `Signed in. ${moved} guest submission${moved !== 1 ? 's were' : ' was'} moved to your account.`
+        })
+      } catch (error) {
+        console.error('Error completing account transfer:', error)
+        setMessage({
+          type: 'error',
+          text: 'Signed in, but your guest submissions could not be moved. They are still on the map.'
+        })
+      }
+    } else {
+      setMessage({ type: 'success', text: 'Signed in.' })
+    }
+    setWorking(false)
+  }
+
+  const handleReset = async (e) => {
+    e.preventDefault()
+    setWorking(true)
+    setMessage({ type: '', text: '' })
+
+    const result = await resetPassword(email)
+    if (result.success) {
+      setMessage({
+        type: 'success',
+        text: 'If an account exists for that email, a password reset link is on its way.'
+      })
+    } else {
+      setMessage({ type: 'error', text: getAuthErrorMessage(result) })
+    }
+    setWorking(false)
+  }
+
+  const handleResendVerification = async () => {
+    setWorking(true)
+    const result = await sendVerificationEmail()
+    setMessage(result.success
+      ? { type: 'success', text: 'Verification email sent.' }
+      : { type: 'error', text: getAuthErrorMessage(result) })
+    setWorking(false)
+  }
+
+  const handleSignOut = async () => {
+    setWorking(true)
+    const result = await signOut()
+    setMessage(result.success
+      ? { type: 'success', text: 'Signed out. You are browsing as a guest.' }
+      : { type: 'error', text: getAuthErrorMessage(result) })
+    setMode('signin')
+    setWorking(false)
+  }
+
+  const messageBanner = message.text && (
+    <div className={`mb-6 p-4 rounded-lg ${
+      message.type === 'success'
+        ? 'bg-green-50 text-green-800 border border-green-200'
+        : 'bg-red-50 text-red-800 border border-red-200'
+    }`}>
+      {message.text}
+    </div>
+  )
+
+  // Signed in with an email account
+  if (currentUser && !isGuest) {
+    return (
+      <div className="container mx-auto px-4 py-8 sm:py-12 max-w-2xl">
+        <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-gray-900 mb-6">Account</h1>
+        {messageBanner}
+
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md space-y-4">
+          <div>
+            <p className="text-sm text-gray-500">Signed in as</p>
+            <p className="text-lg font-medium text-gray-900 break-all">{currentUser.email}</p>
+          </div>
+
+          {currentUser.emailVerified ? (
+            <p className="text-sm text-green-700">✓ Email verified</p>
+          ) : (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+              <p className="text-sm text-gray-700 mb-2">
+                Your email isn&apos;t verified yet. Check your inbox for the verification link.
+              </p>
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={handleResendVerification}
+                  disabled={working}
+                  className="text-sm text-blue-600 hover:text-blue-800 underline disabled:opacity-50"
+                >
+                  Resend email
+                </button>
+                <button
+                  type="button"
+                  onClick={refreshUser}
+                  className="text-sm text-blue-600 hover:text-blue-800 underline"
+                >
+                  I&apos;ve verified it
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-3 pt-2 border-t">
+            <Link
+              to="/my-submissions"
+              className="flex-1 text-center px-4 py-2 bg-gray-100 text-gray-700 font-medium rounded-md hover:bg-gray-200 transition-colors"
+            >
+              My Submissions
+            </Link>
+            <button
+              type="button"
+              onClick={handleSignOut}
+              disabled={working}
+              className="flex-1 px-4 py-2 bg-gray-600 text-white font-medium rounded-md hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  // Browsing as a guest
+  return (
+    <div className="container mx-auto px-4 py-8 sm:py-12 max-w-2xl">
+      <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-gray-900 mb-2">Account</h1>
+      <p className="text-sm sm:text-base text-gray-600 mb-4">
+        You&apos;re browsing as a guest. Guest submissions are tied to this browser, so clearing your
+        browser data loses access to them. An account keeps them safe and lets you sign in on other devices.
+      </p>
+      <div className="bg-green-50 border border-green-200 rounded-lg p-3 mb-6">
+        <p className="text-xs sm:text-sm text-gray-700">
+          <strong>🔒 Privacy:</strong> Your email is only used to sign in. It is never stored with your submissions.
+          <Link to="/privacy" className="text-green-700 hover:text-green-900 underline ml-1">Learn more</Link>
+        </p>
+      </div>
+
+      {messageBanner}
+
+      <div className="flex gap-2 mb-4">
+        <button
+          type="button"
+          onClick={() => switchMode('link')}
+          className={`flex-1 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+            mode === 'link' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+          }`}
+        >
+          Create Account
+        </button>
+        <button
+          type="button"
+          onClick={() => switchMode('signin')}
+          className={`flex-1 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+            mode !== 'link' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+          }`}
+        >
+          Sign In
+        </button>
+      </div>
+
+      {mode === 'link' && (
+        <form onSubmit={handleLink} className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+          <p className="text-sm text-gray-600 mb-4">
+            Turn this guest session into an account.
+            {guestSubmissionCount > 0 && ` Your ${guestSubmissionCount} submission${guestSubmissionCount !== 1 ? 's' : ''} will stay with it.`}
+          </p>
+          <CredentialsFields
+            email={email}
+            password={password}
+            onEmailChange={setEmail}
+            onPasswordChange={setPassword}
+          />
+          <button
+            type="submit"
+            disabled={working}
+            className="w-full bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {working ? 'Creating account...' : 'Create Account'}
+          </button>
+        </form>
+      )}
+
+      {mode === 'signin' && (
+        <form onSubmit={handleSignIn} className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+          <p className="text-sm text-gray-600 mb-4">
+            Already have an account? Sign in to see your submissions on this device.
+          </p>
+          <CredentialsFields
+            email={email}
+            password={password}
+            onEmailChange={setEmail}
+            onPasswordChange={setPassword}
+          />
+          {guestSubmissionCount > 0 && (
+            <label className="flex items-start gap-2 mb-4 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={moveGuestSubmissions}
+                onChange={(e) => setMoveGuestSubmissions(e.target.checked)}
+                className="mt-0.5"
+              />
+              <span>
+                Move the {guestSubmissionCount} submission{guestSubmissionCount !== 1 ? 's' : ''} I made as a guest
+                to this account. Otherwise they stay on the map but you won&apos;t be able to edit them.
+              </span>
+            </label>
+          )}
+          <button
+            type="submit"
+            disabled={working}
+            className="w-full bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {working ? 'Signing in...' : 'Sign In'}
+          </button>
+          <button
+            type="button"
+            onClick={() => switchMode('reset')}
+            className="block w-full mt-3 text-center text-sm text-gray-600 hover:text-gray-900 underline"
+          >
+            Forgot your password?
+          </button>
+        </form>
+      )}
+
+      {mode === 'reset' && (
+        <form onSubmit={handleReset} className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+          <p className="text-sm text-gray-600 mb-4">
+            Enter your account email and we&apos;ll send you a link to choose a new password.
+          </p>
+          <CredentialsFields
+            email={email}
+            onEmailChange={setEmail}
+            showPassword={false}
+          />
+          <button
+            type="submit"
+            disabled={working}
+            className="w-full bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {working ? 'Sending...' : 'Send Reset Link'}
+          </button>
+          <button
+            type="button"
+            onClick={() => switchMode('signin')}
+            className="block w-full mt-3 text-center text-sm text-gray-600 hover:text-gray-900 underline"
+          >
+            Back to sign in
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default Account
@@ -2,7 +2,7 @@ import { useState } from 'react'
 import { useAuth } from '../hooks/useAuth'
 import { addDevice, getAllDevices } from '../firebase/services'
 import { queryOSMALPRsBatched, importOSMData } from '../utils/osmImporter'
-import { batchAddDevices } from '../firebase/services'
+import { batchAddDevices, purgeDeletedDevices, TOMBSTONE_RETENTION_DAYS } from '../firebase/services'
 import { exportToJSON, exportToCSV, exportToGeoJSON, downloadFile } from '../utils/dataExport'
 import RegionPicker from '../components/RegionPicker'
 
@@ -13,6 +13,8 @@ function DataManagement() {
   const [importResults, setImportResults] = useState(null)
   const [importProgress, setImportProgress] = useState(null)
   const [useBatchedQuery, setUseBatchedQuery] = useState(true)
+  const [purging, setPurging] = useState(false)
+  const [purgeResult, setPurgeResult] = useState(null)
   const [importRegion, setImportRegion] = useState({
     south: 40.5,
     west: -74.3,
@@ -73,6 +75,21 @@ function DataManagement() {
     }
   }
 
+  const handlePurgeTombstones = async () => {
+    setPurging(true)
+    setPurgeResult(null)
+
+    try {
+      const purged = await purgeDeletedDevices()
+      setPurgeResult({ status: 'complete', message: `Purged ${purged} deleted device${purged !== 1 ? 's' : ''}` })
+    } catch (error) {
+      console.error('Purge error:', error)
+      setPurgeResult({ status: 'error', message: `Purge failed: ${error.message}` })
+    } finally {
+      setPurging(false)
+    }
+  }
+
   const handleExport = async (format) => {
     setExporting(true)
     try {
@@ -290,6 +307,34 @@ function DataManagement() {
       </div>
       )}
 
+      {/* Maintenance Section - Only in Development */}
+      {process.env.NODE_ENV === 'development' && (
+      <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Purge Deleted Devices</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Deleted devices are kept as tombstones so cached clients remove them. Tombstones older than {TOMBSTONE_RETENTION_DAYS} days can be removed permanently.
+        </p>
+
+        {purgeResult && (
+          <div className={`mb-4 p-4 rounded-lg text-sm ${
+            purgeResult.status === 'error'
+              ? 'bg-red-50 border border-red-200 text-red-800'
+              : 'bg-green-50 border border-green-200 text-green-800'
+          }`}>
+            {purgeResult.message}
+          </div>
+        )}
+
+        <button
+          onClick={handlePurgeTombstones}
+          disabled={purging || !currentUser}
+          className="bg-blue-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          {purging ? 'Purging...' : 'Purge Tombstones'}
+        </button>
+      </div>
+      )}
+
       {/* Export Section */}
       <div className="bg-white p-6 rounded-lg shadow-md">
         <h2 className="text-xl font-semibold text-gray-900 mb-4">Export PeekBack Data</h2>
@@ -0,0 +1,354 @@
+import { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import { subscribeToDevice, getNearbyDevices, hideDevice, moderatorDeleteDevice } from '../firebase/services'
+import { deviceIcons, deviceTypeLabels } from '../utils/mapIcons'
+import { getDeviceMapUrl } from '../utils/mapUrl'
+import MapPicker from '../components/MapPicker'
+import LoadingSpinner from '../components/LoadingSpinner'
+import DeviceSuggestions, { SuggestEditLink } from '../components/DeviceSuggestions'
+import DeviceHistory from '../components/DeviceHistory'
+import ReportDevice from '../components/ReportDevice'
+import DeviceStatusNotice from '../components/DeviceStatusNotice'
+import DeviceConfirmations from '../components/DeviceConfirmations'
+import DevicePhotos from '../components/DevicePhotos'
+import MergeDevicePanel from '../components/MergeDevicePanel'
+import { getConfirmationCount } from '../utils/deviceStatus'
+import { formatTimeAgo } from '../utils/timeAgo'
+import { formatDirections, getDirections } from '../utils/direction'
+
+// How far around the device to look for other devices
+const NEARBY_RADIUS_METERS = 500
+const MAX_NEARBY_DEVICES = 10
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return 'Unknown'
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp)
+  return date.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+}
+
+const formatDistance = (meters) => {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`
+}
+
+// OSM imports use document IDs like osm_node_12345
+const getOSMType = (deviceId) => {
+  const match = /^osm_(node|way|relation)_/.exec(deviceId)
+  return match ? match[1] : 'node'
+}
+
+// One row in the details table
+function DetailRow({ label, children }) {
+  return (
+    <div className="py-3 sm:grid sm:grid-cols-3 sm:gap-4">
+      <dt className="text-sm font-medium text-gray-500">{label}</dt>
+      <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2 break-words">{children}</dd>
+    </div>
+  )
+}
+
+function DeviceDetail() {
+  const { id } = useParams()
+  const { currentUser, isModerator } = useAuth()
+  const navigate = useNavigate()
+  const [device, setDevice] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [nearbyDevices, setNearbyDevices] = useState([])
+  const [copied, setCopied] = useState(false)
+  const [moderating, setModerating] = useState(false)
+
+  // Live updates, so vote counts stay current while the page is open. A device
+  // merged into another (now or later) redirects to the one that was kept
+  useEffect(() => {
+    setLoading(true)
+    const unsubscribe = subscribeToDevice(id, (data, mergedInto) => {
+      if (mergedInto) {
+        navigate(`/devices/${mergedInto}`, { replace: true })
+        return
+      }
+      setDevice(data)
+      setLoading(false)
+    })
+    return () => unsubscribe()
+  }, [id, navigate])
+
+  const latitude = device?.latitude
+  const longitude = device?.longitude
+
+  useEffect(() => {
+    if (latitude === undefined || longitude === undefined) {
+      return
+    }
+
+    let cancelled = false
+    getNearbyDevices(latitude, longitude, NEARBY_RADIUS_METERS)
+      .then((devices) => {
+        if (!cancelled) {
+          setNearbyDevices(devices.filter(nearby => nearby.id !== id).slice(0, MAX_NEARBY_DEVICES))
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading nearby devices:', error)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [id, latitude, longitude])
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (error) {
+      console.error('Error copying link:', error)
+    }
+  }
+
+  // Hide or delete someone else's device; the moderation queue has the full set of actions
+  const handleModerate = async (action) => {
+    const reason = window.prompt('Reason for this action (optional):', '')
+    if (reason === null) return
+
+    setModerating(true)
+    try {
+      if (action === 'hide') {
+        await hideDevice(id, currentUser.uid, reason.trim())
+      } else {
+        await moderatorDeleteDevice(id, currentUser.uid, reason.trim())
+      }
+      navigate('/moderation')
+    } catch (error) {
+      console.error(`Error running ${action}:`, error)
+      alert(`Failed to ${action} device. Please try again.`)
+      setModerating(false)
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner />
+  }
+
+  if (!device) {
+    return (
+      <div className="container mx-auto px-4 py-12 max-w-2xl text-center">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-4">Device Not Found</h1>
+        <p className="text-gray-600 mb-6">
+          This device doesn&apos;t exist or has been removed.
+        </p>
+        <Link to="/map" className="text-blue-600 hover:text-blue-800 underline">
+          Back to the map
+        </Link>
+      </div>
+    )
+  }
+
+  const isOwner = Boolean(currentUser) && device.reportedBy?.uid === currentUser.uid
+  const nearbyMarkers = nearbyDevices.map(nearby => ({
+    id: nearby.id,
+    latitude: nearby.latitude,
+    longitude: nearby.longitude,
+    icon: deviceIcons[nearby.type] || deviceIcons.other,
+    title: deviceTypeLabels[nearby.type] || 'Device',
+  }))
+
+  return (
+    <div className="container mx-auto px-4 py-8 sm:py-12 max-w-4xl">
+      <div className="mb-6 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-gray-900 mb-2">
+            {deviceTypeLabels[device.type] || 'Unknown Device'}
+          </h1>
+          {device.address && (
+            <p className="text-sm sm:text-base text-gray-600">📍 {device.address}</p>
+          )}
+        </div>
+        <div className="flex gap-2 flex-shrink-0">
+          {isOwner && (
+            <Link
+              to={`/devices/${device.id}/edit`}
+              className="px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-md hover:bg-gray-200 transition-colors"
+            >
+              ✏️ Edit
+            </Link>
+          )}
+          <SuggestEditLink
+            device={device}
+            className="px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-md hover:bg-gray-200 transition-colors"
+          />
+          <button
+            type="button"
+            onClick={handleCopyLink}
+            className="px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-md hover:bg-gray-200 transition-colors"
+          >
+            {copied ? '✓ Copied' : '🔗 Copy Link'}
+          </button>
+          <Link
+            to={getDeviceMapUrl(device)}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors"
+          >
+            View on Map
+          </Link>
+        </div>
+      </div>
+
+      {isModerator && (
+        <div className="mb-6 p-3 bg-gray-50 border border-gray-200 rounded-lg flex flex-wrap items-center gap-2 text-sm">
+          <span className="font-medium text-gray-700 mr-auto">🛡️ Moderator</span>
+          <button
+            type="button"
+            onClick={() => handleModerate('hide')}
+            disabled={moderating}
+            className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 font-medium rounded-md hover:bg-gray-100 transition-colors disabled:opacity-50"
+          >
+            Hide
+          </button>
+          <button
+            type="button"
+            onClick={() => handleModerate('delete')}
+            disabled={moderating}
+            className="px-3 py-1.5 bg-red-50 text-red-700 font-medium rounded-md hover:bg-red-100 transition-colors disabled:opacity-50"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+
+      <DeviceStatusNotice device={device} className="mb-6 p-3 text-sm" />
+
+      <DeviceSuggestions device={device} />
+
+      <div className="mb-8">
+        <MapPicker
+          latitude={device.latitude}
+          longitude={device.longitude}
+          readOnly
+          height={320}
+          markers={nearbyMarkers}
+          directions={getDirections(device.direction)}
+          fov={device.fov ?? null}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-8">
+        <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+          <p className="text-2xl sm:text-3xl font-bold text-blue-600">👍 {getConfirmationCount(device)}</p>
+          <p className="text-sm text-gray-600 mt-1">Confirmations</p>
+        </div>
+        <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+          <p className="text-2xl sm:text-3xl font-bold text-yellow-600">❌ {device.inactiveReports || 0}</p>
+          <p className="text-sm text-gray-600 mt-1">&quot;Not Here&quot; reports</p>
+        </div>
+      </div>
+
+      <section className="mb-8">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-3">Details</h2>
+        <dl className="bg-white border border-gray-200 rounded-lg px-4 divide-y divide-gray-200">
+          <DetailRow label="Type">{deviceTypeLabels[device.type] || device.type}</DetailRow>
+          <DetailRow label="Address">{device.address || '—'}</DetailRow>
+          <DetailRow label="Description">{device.description || '—'}</DetailRow>
+          <DetailRow label="Coordinates">
+            {device.latitude.toFixed(6)}, {device.longitude.toFixed(6)}
+          </DetailRow>
+          {device.direction != null && (
+            <DetailRow label="Direction">{formatDirections(device.direction)}</DetailRow>
+          )}
+          {device.fov != null && (
+            <DetailRow label="Field of view">{Math.round(device.fov)}°</DetailRow>
+          )}
+          {device.geohash && <DetailRow label="Geohash">{device.geohash}</DetailRow>}
+          <DetailRow label="Reported">{formatDate(device.createdAt)}</DetailRow>
+          <DetailRow label="Last updated">{formatDate(device.updatedAt)}</DetailRow>
+          <DetailRow label="Last confirmed">
+            {device.lastConfirmedAt ? `${formatTimeAgo(device.lastConfirmedAt)} (${formatDate(device.lastConfirmedAt)})` : '—'}
+          </DetailRow>
+          <DetailRow label="Reported by">
+            {device.reportedBy
+              ? (device.reportedBy.isAnonymous ? 'Anonymous contributor' : 'Registered contributor')
+              : device.osmId ? 'OpenStreetMap import' : 'Unknown'}
+          </DetailRow>
+          <DetailRow label="Source">
+            {device.osmId ? (
+              <>
+                OpenStreetMap{' '}
+                <a
+                  href={`https://www.openstreetmap.org/${getOSMType(device.id)}/${device.osmId}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:text-blue-800 underline"
+                >
+                  {getOSMType(device.id)} {device.osmId}
+                </a>
+              </>
+            ) : 'PeekBack submission'}
+          </DetailRow>
+          <DetailRow label="Device ID">
+            <code className="text-xs bg-gray-100 px-1.5 py-0.5 rounded">{device.id}</code>
+          </DetailRow>
+        </dl>
+        {!isOwner && (
+          <div className="mt-3">
+            <ReportDevice device={device} />
+          </div>
+        )}
+      </section>
+
+      <section className="mb-8">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-3">Photos</h2>
+        <DevicePhotos device={device} editable />
+      </section>
+
+      <section className="mb-8">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-3">Confirmations</h2>
+        <DeviceConfirmations device={device} />
+      </section>
+
+      <section className="mb-8">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-3">History</h2>
+        <DeviceHistory device={device} />
+      </section>
+
+      {(isOwner || isModerator) && (
+        <section className="mb-8">
+          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-3">Duplicates</h2>
+          <MergeDevicePanel device={device} />
+        </section>
+      )}
+
+      <section>
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-3">
+          Nearby Devices <span className="text-base font-normal text-gray-500">(within {formatDistance(NEARBY_RADIUS_METERS)})</span>
+        </h2>
+        {nearbyDevices.length === 0 ? (
+          <p className="text-sm text-gray-600">No other devices reported nearby.</p>
+        ) : (
+          <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+            {nearbyDevices.map(nearby => (
+              <li key={nearby.id}>
+                <Link
+                  to={`/devices/${nearby.id}`}
+                  className="flex items-center justify-between gap-3 px-4 py-3 hover:bg-gray-50 transition-colors"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">{deviceTypeLabels[nearby.type] || 'Device'}</p>
+                    {nearby.address && <p className="text-xs text-gray-500 truncate">{nearby.address}</p>}
+                  </div>
+                  <span className="text-sm text-gray-500 flex-shrink-0">{formatDistance(nearby.distance)}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default DeviceDetail
@@ -1,21 +1,25 @@
-import { useEffect, useState, useRef, useCallback } from 'react'
-import { Link } from 'react-router-dom'
+import { useEffect, useState, useRef, useCallback, useMemo } from 'react'
+import { createPortal } from 'react-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 import 'leaflet.markercluster/dist/MarkerCluster.css'
 import 'leaflet.markercluster/dist/MarkerCluster.Default.css'
 import 'leaflet.markercluster'
-import { subscribeToDevices, geocodeAddress, getAllDevices } from '../firebase/services'
+import { subscribeToDeviceChanges, geocodeAddress, getDevice, getAllDevices, getDevicesUpdatedSince, TOMBSTONE_RETENTION_DAYS } from '../firebase/services'
 import { 
-  getAllDevices as getCachedDevices, 
-  storeDevices, 
-  isCacheStale, 
-  getCacheMetadata,
-  upsertDevice,
-  clearCache
-} from '../utils/indexedDB'
-import { deviceIcons } from '../utils/mapIcons'
+  queryVisibleDevices,
+  storeCachedDevices, 
+  mergeCachedDevices,
+  getCachedMetadata,
+  clearCachedDevices
+} from '../utils/deviceCacheWorker'
+import { deviceIcons, deviceColors, deviceTypeLabels } from '../utils/mapIcons'
+import { getDeviceStatus, deviceStatusLabels, deviceStatusOpacity } from '../utils/deviceStatus'
+import { VIEW_CONE_PIXELS, getDirections, getViewConePoints, metersPerPixel } from '../utils/direction'
+import { ALL_DEVICE_TYPES, buildMapParams, parseMapParams } from '../utils/mapUrl'
+import { MAX_AGGREGATE_MAP_ZOOM, getAggregateZoom, getTileBounds, getVisibleTiles, loadTileAggregates } from '../utils/tileAggregates'
 import DevicePopup from '../components/DevicePopup'
 import SearchAutocomplete from '../components/SearchAutocomplete'
 import QuickSubmitModal from '../components/QuickSubmitModal'
@@ -131,21 +135,31 @@ function MapClickHandler({ onSubmitClick, submitMode }) {
 }
 
 // Component for marker clustering
-function MarkerClusterGroup({ devices, deviceIcons, deviceTypeLabels, enabled }) {
+// Popups start empty; onPopupOpen gets a container to render DevicePopup into (through a portal)
+// Markers are kept by device ID and only added, moved or removed when their device changes,
+// so an open popup survives the devices list being refreshed
+function MarkerClusterGroup({ devices, deviceIcons, enabled, onPopupOpen, onPopupClose }) {
   const map = useMap()
   const clusterGroupRef = useRef(null)
-  const markersRef = useRef([])
+  // Device ID -> {marker, device} for every marker in the cluster group
+  const markersRef = useRef(new MapCache())
+  // IDs of the devices currently passed in, to drop a kept marker once its popup closes
+  const deviceIdsRef = useRef(new Set())
   const batchTimeoutRef = useRef(null)
   const currentBatchIndexRef = useRef(0)
   const pendingDevicesRef = useRef([])
+  // Keep the latest popup handlers without re-adding every marker when they change
+  const popupHandlersRef = useRef({ onPopupOpen, onPopupClose })
+  popupHandlersRef.current = { onPopupOpen, onPopupClose }
 
   useEffect(() => {
     if (!enabled) {
       // Remove cluster group if disabled
       if (clusterGroupRef.current) {
-        map.removeLayer(clusterGroupRef.current)
+        const clusterGroup = clusterGroupRef.current
         clusterGroupRef.current = null
-        markersRef.current = []
+        markersRef.current.clear()
+        map.removeLayer(clusterGroup)
       }
       // Clear any pending batches
       if (batchTimeoutRef.current) {
@@ -191,14 +205,54 @@ function MarkerClusterGroup({ devices, deviceIcons, deviceTypeLabels, enabled })
       batchTimeoutRef.current = null
     }
 
+    const clusterGroup = clusterGroupRef.current
+    const markers = markersRef.current
+    const nextIds = new Set(devices.map(device => device.id))
+    deviceIdsRef.current = nextIds
+    const iconFor = (device) => deviceIcons[device.type] || deviceIcons.other
+
+    // Remove markers for devices that are gone, except one whose popup is open
+    markers.forEach((entry, id) => {
+      if (!nextIds.has(id) && !entry.marker.isPopupOpen()) {
+        clusterGroup.removeLayer(entry.marker)
+        markers.delete(id)
+      }
+    })
+
+    // Update markers whose device changed; anything without a marker yet is added below
+    const devicesToAdd = []
+    devices.forEach((device) => {
+      const entry = markers.get(device.id)
+      if (!entry) {
+        devicesToAdd.push(device)
+        return
+      }
+      if (entry.device === device && entry.icon === iconFor(device)) {
+        return
+      }
+      const previous = entry.device
+      entry.device = device
+      if (previous.latitude !== device.latitude || previous.longitude !== device.longitude) {
+        entry.marker.setLatLng([device.latitude, device.longitude])
+      }
+      const icon = iconFor(device)
+      if (entry.icon !== icon) {
+        entry.icon = icon
+        entry.marker.setIcon(icon)
+      }
+      const status = getDeviceStatus(device)
+      entry.marker.setOpacity(deviceStatusOpacity[status])
+      entry.marker.options.title = status !== 'active' ? deviceStatusLabels[status] : ''
+      const element = entry.marker.getElement()
+      if (element) {
+        element.title = entry.marker.options.title
+      }
+    })
+
     // Store devices to add
-    pendingDevicesRef.current = devices
+    pendingDevicesRef.current = devicesToAdd
     currentBatchIndexRef.current = 0
 
-    // Clear existing markers
-    clusterGroupRef.current.clearLayers()
-    markersRef.current = []
-
     // Add markers in batches to prevent lag
     const BATCH_SIZE = 500 // Add 500 markers at a time
     const BATCH_DELAY = 50 // 50ms delay between batches
@@ -215,31 +269,35 @@ function MarkerClusterGroup({ devices, deviceIcons, deviceTypeLabels, enabled })
       )
 
       batch.forEach((device) => {
-        const isInactive = (device.inactiveReports || 0) > 0
-        const icon = deviceIcons[device.type] || deviceIcons.other
+        const status = getDeviceStatus(device)
+        const icon = iconFor(device)
         const marker = L.marker([device.latitude, device.longitude], { 
           icon: icon,
-          opacity: isInactive ? 0.5 : 1
+          opacity: deviceStatusOpacity[status],
+          title: status !== 'active' ? deviceStatusLabels[status] : '',
         })
+        const entry = { marker, device, icon }
         
-        // Create popup content
-        const popupDiv = document.createElement('div')
-        popupDiv.style.minWidth = '200px'
-        popupDiv.innerHTML = `
-          <div>
-            <h3 style="font-weight: bold; margin-bottom: 8px; font-size: 16px;">${deviceTypeLabels[device.type] || 'Device'}</h3>
-            ${device.address ? `<p style="margin: 4px 0; color: #666; font-size: 14px;">📍 ${device.address}</p>` : ''}
-            ${device.description ? `<p style="margin: 4px 0; color: #666; font-size: 14px;">${device.description}</p>` : ''}
-            <p style="margin: 4px 0; font-size: 12px; color: #999;">Coordinates: ${device.latitude.toFixed(6)}, ${device.longitude.toFixed(6)}</p>
-            ${isInactive ? `<p style="margin: 4px 0; color: #dc2626; font-size: 12px;">⚠️ Reported as inactive by ${device.inactiveReports} user(s)</p>` : ''}
-          </div>
-        `
-        
-        marker.bindPopup(popupDiv, {
+        // Popup content is only created when the popup opens
+        marker.bindPopup('', {
           className: 'custom-popup'
         })
+        marker.on('popupopen', (e) => {
+          const container = document.createElement('div')
+          e.popup.setContent(container)
+          popupHandlersRef.current.onPopupOpen({ device: entry.device, container, popup: e.popup })
+        })
+        marker.on('popupclose', () => {
+          popupHandlersRef.current.onPopupClose(entry.device)
+          // Kept only for its popup: the device was removed or moved out of view meanwhile
+          const id = entry.device.id
+          if (!deviceIdsRef.current.has(id) && markersRef.current.get(id) === entry && clusterGroupRef.current) {
+            clusterGroupRef.current.removeLayer(marker)
+            markersRef.current.delete(id)
+          }
+        })
         clusterGroupRef.current.addLayer(marker)
-        markersRef.current.push(marker)
+        markers.set(device.id, entry)
       })
 
       currentBatchIndexRef.current += BATCH_SIZE
@@ -260,23 +318,305 @@ function MarkerClusterGroup({ devices, deviceIcons, deviceTypeLabels, enabled })
         clearTimeout(batchTimeoutRef.current)
         batchTimeoutRef.current = null
       }
+    }
+  }, [enabled, map, devices, deviceIcons])
+
+  // Markers are kept across device updates, so only drop them when the layer goes away
+  useEffect(() => {
+    const markers = markersRef.current
+    return () => {
+      markers.clear()
       if (clusterGroupRef.current) {
-        clusterGroupRef.current.clearLayers()
+        const clusterGroup = clusterGroupRef.current
+        clusterGroupRef.current = null
+        map.removeLayer(clusterGroup)
+      }
+    }
+  }, [map])
+
+  return null
+}
+
+// Component for the precomputed per-tile device counts shown at low zoom
+// Draws one count bubble per tile instead of pushing every device through the cluster group
+function TileAggregateLayer({ tiles, zoom, deviceTypeLabels }) {
+  const map = useMap()
+  const layerGroupRef = useRef(null)
+
+  useEffect(() => {
+    if (!layerGroupRef.current) {
+      layerGroupRef.current = L.layerGroup().addTo(map)
+    }
+    const layerGroup = layerGroupRef.current
+    layerGroup.clearLayers()
+
+    tiles.forEach((tile) => {
+      const size = tile.count > 1000 ? 56 : tile.count > 100 ? 50 : tile.count > 20 ? 45 : 40
+      const label = tile.count >= 10000 ? `${Math.round(tile.count / 1000)}k` : tile.count
+      const marker = L.marker([tile.latitude, tile.longitude], {
+        icon: L.divIcon({
+          html: `<div style="background-color: #3b82f6; color: white; border-radius: 50%; width: ${size}px; height: ${size}px; display: flex; align-items: center; justify-content: center; font-weight: bold; border: 3px solid white; box-shadow: 0 2px 8px rgba(0,0,0,0.3); font-size: ${size >= 50 ? '14px' : '12px'};">${label}</div>`,
+          className: 'marker-cluster-custom',
+          iconSize: L.point(size, size),
+        }),
+      })
+
+      const breakdown = Object.entries(tile.types)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => `${deviceTypeLabels[type] || 'Other'}: ${count}`)
+        .join('<br>')
+      marker.bindTooltip(breakdown, { direction: 'top', offset: L.point(0, -size / 2) })
+
+      // Zoom into the tile so its devices (or finer tiles) load
+      marker.on('click', () => {
+        const { south, north, west, east } = getTileBounds(tile.x, tile.y, zoom)
+        map.fitBounds([[south, west], [north, east]])
+      })
+
+      layerGroup.addLayer(marker)
+    })
+  }, [map, tiles, zoom, deviceTypeLabels])
+
+  useEffect(() => {
+    return () => {
+      if (layerGroupRef.current) {
+        map.removeLayer(layerGroupRef.current)
+        layerGroupRef.current = null
+      }
+    }
+  }, [map])
+
+  return null
+}
+
+// Component that draws devices as circles on a single canvas instead of one DOM marker each
+// Leaflet's canvas renderer does the hit-testing; clicks are handed to the parent to open DevicePopup
+function CanvasDeviceLayer({ devices, onDeviceClick }) {
+  const map = useMap()
+  const layerGroupRef = useRef(null)
+  const rendererRef = useRef(null)
+  // Keep the latest click handler without rebuilding every circle when it changes
+  const onDeviceClickRef = useRef(onDeviceClick)
+  onDeviceClickRef.current = onDeviceClick
+
+  useEffect(() => {
+    if (!layerGroupRef.current) {
+      rendererRef.current = L.canvas({ padding: 0.5, tolerance: 6 })
+      layerGroupRef.current = L.layerGroup().addTo(map)
+    }
+    const layerGroup = layerGroupRef.current
+    layerGroup.clearLayers()
+
+    devices.forEach((device) => {
+      const status = getDeviceStatus(device)
+      const opacity = deviceStatusOpacity[status]
+      const circle = L.circleMarker([device.latitude, device.longitude], {
+        renderer: rendererRef.current,
+        radius: 6,
+        // Amber ring marks devices whose "Not Here" reports are contested
+        color: status === 'disputed' ? '#F59E0B' : 'white',
+        weight: status === 'disputed' ? 2 : 1.5,
+        fillColor: deviceColors[device.type] || deviceColors.other,
+        fillOpacity: 0.9 * opacity,
+        opacity,
+      })
+      circle.on('click', () => onDeviceClickRef.current(device))
+      layerGroup.addLayer(circle)
+    })
+  }, [map, devices])
+
+  useEffect(() => {
+    return () => {
+      if (layerGroupRef.current) {
+        map.removeLayer(layerGroupRef.current)
+        layerGroupRef.current = null
+      }
+    }
+  }, [map])
+
+  return null
+}
+
+// Zoom from which view cones are drawn; further out they would just be clutter
+const VIEW_CONE_MIN_ZOOM = 16
+
+// Component that draws a view cone for every bearing of the devices that record a direction
+// Cones go on their own canvas below the markers and ignore clicks
+function ViewConeLayer({ devices, zoom }) {
+  const map = useMap()
+  const layerGroupRef = useRef(null)
+  const rendererRef = useRef(null)
+
+  useEffect(() => {
+    if (!layerGroupRef.current) {
+      // The pane outlives this layer, which comes and goes with the zoom
+      if (!map.getPane('viewCones')) {
+        // Above tiles (200), below markers (600)
+        map.createPane('viewCones').style.zIndex = 350
+      }
+      rendererRef.current = L.canvas({ pane: 'viewCones', padding: 0.5 })
+      layerGroupRef.current = L.layerGroup().addTo(map)
+    }
+    const layerGroup = layerGroupRef.current
+    layerGroup.clearLayers()
+
+    devices.forEach((device) => {
+      const directions = getDirections(device.direction)
+      if (directions.length === 0) return
+
+      const length = VIEW_CONE_PIXELS * metersPerPixel(device.latitude, zoom)
+      const opacity = deviceStatusOpacity[getDeviceStatus(device)]
+      const color = deviceColors[device.type] || deviceColors.other
+      directions.forEach((bearing) => {
+        layerGroup.addLayer(L.polygon(getViewConePoints(device.latitude, device.longitude, bearing, device.fov, length), {
+          renderer: rendererRef.current,
+          interactive: false,
+          color,
+          weight: 1,
+          opacity: 0.6 * opacity,
+          fillColor: color,
+          fillOpacity: 0.2 * opacity,
+        }))
+      })
+    })
+  }, [map, devices, zoom])
+
+  useEffect(() => {
+    return () => {
+      if (layerGroupRef.current) {
+        map.removeLayer(layerGroupRef.current)
+        layerGroupRef.current = null
+      }
+    }
+  }, [map])
+
+  return null
+}
+
+// Component that keeps the URL in step with the map (?lat=&lng=&z=&types=&device=)
+// Opening a device or changing the types pushes a history entry; panning and zooming only replace
+// the current one. Back/forward and pasted links are applied to the map
+function MapUrlSync({ selectedTypes, openDeviceId, onTypesChange, onDeviceLoaded, onDeviceClosed }) {
+  const map = useMap()
+  const [searchParams, setSearchParams] = useSearchParams()
+  // Last search string written or applied, to tell our own updates from navigation
+  const lastSearchRef = useRef(null)
+  // Types and device of the last URL written, to tell navigation from view-only changes
+  const lastSelectionRef = useRef(null)
+  // Linked device that is still loading, kept in the URL until its popup opens
+  const pendingDeviceIdRef = useRef(null)
+  const stateRef = useRef({ selectedTypes, openDeviceId })
+  stateRef.current = { selectedTypes, openDeviceId }
+
+  const writeUrl = useCallback(() => {
+    const center = map.getCenter()
+    const params = buildMapParams({
+      center: [center.lat, center.lng],
+      zoom: map.getZoom(),
+      types: stateRef.current.selectedTypes,
+      deviceId: stateRef.current.openDeviceId ?? pendingDeviceIdRef.current,
+    })
+    const search = params.toString()
+    if (search === lastSearchRef.current) {
+      return
+    }
+    const selection = `${params.get('types') ?? ''}|${params.get('device') ?? ''}`
+    // The first write only normalises the URL the page was opened with
+    const replace = lastSelectionRef.current === null || selection === lastSelectionRef.current
+    lastSelectionRef.current = selection
+    lastSearchRef.current = search
+    setSearchParams(params, { replace })
+  }, [map, setSearchParams])
+
+  // Apply URLs we didn't write ourselves: the initial link, and back/forward navigation
+  useEffect(() => {
+    const search = searchParams.toString()
+    if (search === lastSearchRef.current) {
+      return
+    }
+    const isInitial = lastSearchRef.current === null
+    lastSearchRef.current = search
+    if (!isInitial) {
+      lastSelectionRef.current = `${searchParams.get('types') ?? ''}|${searchParams.get('device') ?? ''}`
+    }
+
+    const { center, zoom, types, deviceId } = parseMapParams(searchParams)
+    // The initial view and types are already passed to the map as initial state
+    if (!isInitial) {
+      if (center) {
+        map.setView(center, zoom ?? map.getZoom(), { animate: false })
+      }
+      onTypesChange(types || new Set(ALL_DEVICE_TYPES))
+    }
+
+    pendingDeviceIdRef.current = null
+    if (!deviceId) {
+      if (stateRef.current.openDeviceId) {
+        map.closePopup()
+        onDeviceClosed()
       }
+      return
+    }
+    if (deviceId === stateRef.current.openDeviceId) {
+      return
     }
-  }, [enabled, map, devices, deviceIcons, deviceTypeLabels])
+
+    pendingDeviceIdRef.current = deviceId
+    // Links to a merged duplicate open the device it was merged into
+    getDevice(deviceId, { followMerges: true })
+      .then((device) => {
+        // Ignore the result if another link was opened in the meantime
+        if (pendingDeviceIdRef.current !== deviceId) return
+        pendingDeviceIdRef.current = null
+        if (!device) {
+          writeUrl()
+          return
+        }
+        if (!center) {
+          map.setView([device.latitude, device.longitude], 17, { animate: false })
+        }
+        onDeviceLoaded(device)
+      })
+      .catch((error) => {
+        console.error('Error loading linked device:', error)
+        if (pendingDeviceIdRef.current === deviceId) {
+          pendingDeviceIdRef.current = null
+        }
+      })
+  }, [map, searchParams, writeUrl, onTypesChange, onDeviceLoaded, onDeviceClosed])
+
+  useEffect(() => {
+    map.on('moveend', writeUrl)
+    return () => {
+      map.off('moveend', writeUrl)
+    }
+  }, [map, writeUrl])
+
+  useEffect(() => {
+    writeUrl()
+  }, [selectedTypes, openDeviceId, writeUrl])
 
   return null
 }
 
 function Map() {
   const { currentUser, loading: authLoading } = useAuth()
+  // Devices in the padded viewport for the selected types, filtered by the cache worker
   const [devices, setDevices] = useState([])
+  // Number of matching devices before any mobile cap
+  const [visibleDeviceCount, setVisibleDeviceCount] = useState(0)
+  // Bumped whenever the cache changes so the visible devices are re-read
+  const [cacheVersion, setCacheVersion] = useState(0)
   const [loading, setLoading] = useState(true)
   const [loadingDevices, setLoadingDevices] = useState(false)
   const [loadingFromFirestore, setLoadingFromFirestore] = useState(false)
   const [loadingProgress, setLoadingProgress] = useState({ current: 0, total: 0, message: '' })
-  const [selectedTypes, setSelectedTypes] = useState(new Set(['flock', 'license_plate_reader', 'traffic_camera', 'security_camera', 'other']))
+  const [searchParams] = useSearchParams()
+  // View, type filter and open device from a shared /map link, read once on load
+  const [initialUrlState] = useState(() => parseMapParams(searchParams))
+  const [selectedTypes, setSelectedTypes] = useState(() => initialUrlState.types || new Set(ALL_DEVICE_TYPES))
+  // Devices reported gone and unconfirmed for a while (status 'removed') are hidden unless asked for
+  const [hideRemoved, setHideRemoved] = useState(true)
   const [userLocation, setUserLocation] = useState(null)
   const [searchQuery, setSearchQuery] = useState('')
   const [searching, setSearching] = useState(false)
@@ -284,7 +624,20 @@ function Map() {
   const [submitMode, setSubmitMode] = useState(false)
   const [submitModalOpen, setSubmitModalOpen] = useState(false)
   const [submitLocation, setSubmitLocation] = useState(null)
-  const [clusteringEnabled, setClusteringEnabled] = useState(true)
+  // How devices are drawn: 'clustered', 'individual' (one DOM marker each) or 'canvas'
+  // Canvas is the default on phones, where thousands of DOM markers make panning stutter
+  const [renderMode, setRenderMode] = useState(() => {
+    if (typeof window !== 'undefined' && (/iPhone|iPad|iPod|Android/i.test(navigator.userAgent) || window.innerWidth < 768)) {
+      return 'canvas'
+    }
+    return 'clustered'
+  })
+  // Device whose DevicePopup is open as a standalone popup (canvas layer or a shared link)
+  const [popupDevice, setPopupDevice] = useState(null)
+  // Device whose individual marker popup is open
+  const [markerPopupDeviceId, setMarkerPopupDeviceId] = useState(null)
+  // Open clustered marker popup {device, container, popup}; DevicePopup is portaled into the container
+  const [clusterPopup, setClusterPopup] = useState(null)
   const [mapBounds, setMapBounds] = useState(null)
   const [initialBoundsSet, setInitialBoundsSet] = useState(false)
   const [forceRefresh, setForceRefresh] = useState(0) // Counter to force refresh
@@ -292,6 +645,9 @@ function Map() {
   const [locationError, setLocationError] = useState(null)
   const [shouldCenterOnUser, setShouldCenterOnUser] = useState(false) // Track when to center on user location
   const [currentZoom, setCurrentZoom] = useState(null)
+  // Precomputed tile counts for the current low zoom level {zoom, tiles}, or null when zoomed in or not built
+  const [tileAggregates, setTileAggregates] = useState(null)
+  const [visibleTiles, setVisibleTiles] = useState([])
   // Detect mobile device - use window width as fallback if userAgent check fails
   const [isMobile, setIsMobile] = useState(() => {
     if (typeof window !== 'undefined') {
@@ -313,7 +669,8 @@ function Map() {
   const boundsUpdateTimerRef = useRef(null)
   const lastBoundsRef = useRef(null)
   const unsubscribeRef = useRef(null)
-  const initialLoadDoneRef = useRef(false)
+  // forceRefresh value the devices were last loaded for
+  const loadedRefreshRef = useRef(null)
   
   // Load all devices from IndexedDB cache or Firestore
   useEffect(() => {
@@ -322,27 +679,54 @@ function Map() {
       return
     }
     
-    // Only load once
-    if (initialLoadDoneRef.current) {
+    // Only load once, and again when a refresh is forced (the dev refresh button clears the cache first)
+    if (loadedRefreshRef.current === forceRefresh) {
       return
     }
     
-    initialLoadDoneRef.current = true
+    loadedRefreshRef.current = forceRefresh
     setLoadingDevices(true)
+    let unmounted = false
     
     const loadDevices = async () => {
       try {
         // Step 1: Try to load from IndexedDB cache first
-        const cacheStale = await isCacheStale()
-        const cachedDevices = await getCachedDevices()
+        const cacheMetadata = await getCachedMetadata()
+        
+        // Tombstones are purged after the retention window, so a cache that last
+        // synced longer ago could miss deletions and needs a full refresh instead
+        const deltaSyncWindow = TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        const canDeltaSync = cacheMetadata?.lastUpdatedAt && cacheMetadata.timestamp &&
+          Date.now() - cacheMetadata.timestamp < deltaSyncWindow
         
-        if (!cacheStale && cachedDevices.length > 0) {
-          // Cache is fresh, use it
+        if (canDeltaSync && cacheMetadata.deviceCount > 0) {
+          // Show the cache right away, then fetch only what changed since the last sync
           if (process.env.NODE_ENV === 'development') {
-            console.log(`Loaded ${cachedDevices.length} devices from IndexedDB cache`)
+            console.log(`Using ${cacheMetadata.deviceCount} devices from IndexedDB cache`)
           }
-          setDevices(cachedDevices)
+          setCacheVersion(version => version + 1)
           setLoading(false)
+          
+          // Includes tombstones, which the merge removes from the cache
+          const changedDevices = await getDevicesUpdatedSince(cacheMetadata.lastUpdatedAt)
+          const validChanges = changedDevices.filter(
+            device => 
+              device.deleted ||
+              device.latitude != null && 
+              device.longitude != null &&
+              !isNaN(device.latitude) &&
+              !isNaN(device.longitude)
+          )
+          
+          if (process.env.NODE_ENV === 'development') {
+            console.log(`Fetched ${validChanges.length} changed devices since last sync`)
+          }
+          
+          // Merging records the sync time even when nothing changed
+          await mergeCachedDevices(validChanges)
+          if (validChanges.length > 0) {
+            setCacheVersion(version => version + 1)
+          }
           setLoadingDevices(false)
           
           // Still subscribe to real-time updates in background
@@ -350,12 +734,12 @@ function Map() {
           return
         }
         
-        // Step 2: Cache is stale or missing, fetch from Firestore
+        // Step 2: Cache is missing or too old for delta sync, fetch everything from Firestore
         setLoadingFromFirestore(true)
         setLoadingProgress({ current: 0, total: 0, message: 'Connecting to database...' })
         
         if (process.env.NODE_ENV === 'development') {
-          console.log('Cache stale or missing, fetching all devices from Firestore...')
+          console.log('Cache missing, fetching all devices from Firestore...')
         }
         
         // Fetch ALL devices (no limit)
@@ -380,14 +764,14 @@ function Map() {
         
         // Store in IndexedDB (this can also take a while with large datasets)
         setLoadingProgress({ current: validDevices.length, total: validDevices.length, message: 'Storing in local cache...' })
-        await storeDevices(validDevices, true) // true = full refresh, clears store first for better performance
+        await storeCachedDevices(validDevices, true) // true = full refresh, clears store first for better performance
         
         if (process.env.NODE_ENV === 'development') {
           console.log(`Stored ${validDevices.length} devices in IndexedDB`)
         }
         
         // Update state
-        setDevices(validDevices)
+        setCacheVersion(version => version + 1)
         setLoading(false)
         setLoadingDevices(false)
         setLoadingFromFirestore(false)
@@ -406,31 +790,38 @@ function Map() {
     }
     
     // Subscribe to real-time updates
-    const subscribeToRealTimeUpdates = () => {
+    // Only devices changed after the last sync are watched, and only those are
+    // written to IndexedDB
+    const subscribeToRealTimeUpdates = async () => {
       // Unsubscribe from previous subscription if any
       if (unsubscribeRef.current) {
         unsubscribeRef.current()
       }
       
-      // Subscribe to all device changes
-      unsubscribeRef.current = subscribeToDevices(
-        async (updatedDevices) => {
-          // Update IndexedDB with new devices
+      const cacheMetadata = await getCachedMetadata()
+      if (unmounted) {
+        return
+      }
+      
+      unsubscribeRef.current = subscribeToDeviceChanges(
+        cacheMetadata?.lastUpdatedAt ?? null,
+        async ({ added, modified, removed }) => {
           try {
-            // For each updated device, upsert it in IndexedDB
-            for (const device of updatedDevices) {
-              // Only update if device has valid coordinates
-              if (device.latitude != null && 
-                  device.longitude != null &&
-                  !isNaN(device.latitude) &&
-                  !isNaN(device.longitude)) {
-                await upsertDevice(device)
-              }
+            // Only keep devices with valid coordinates (removed devices just need an ID)
+            const changedDevices = [...added, ...modified].filter(
+              device => 
+                device.latitude != null && 
+                device.longitude != null &&
+                !isNaN(device.latitude) &&
+                !isNaN(device.longitude)
+            ).concat(removed)
+            
+            if (changedDevices.length === 0) {
+              return
             }
             
-            // Reload all devices from IndexedDB to get latest state
-            const allCachedDevices = await getCachedDevices()
-            setDevices(allCachedDevices)
+            await mergeCachedDevices(changedDevices)
+            setCacheVersion(version => version + 1)
           } catch (error) {
             if (process.env.NODE_ENV === 'development') {
               console.error('Error updating IndexedDB from real-time updates:', error)
@@ -449,11 +840,12 @@ function Map() {
     
     // Cleanup subscription on unmount
     return () => {
+      unmounted = true
       if (unsubscribeRef.current) {
         unsubscribeRef.current()
       }
     }
-  }, [authLoading])
+  }, [authLoading, forceRefresh])
   
   // Initialize cache ref on first use (inside useEffect, not during render)
   
@@ -809,36 +1201,115 @@ function Map() {
     })
   }
 
-  // Filter devices by type first
-  const typeFilteredDevices = devices.filter(device =>
-    selectedTypes.has(device.type)
-  )
-  
-  // Then filter by viewport bounds to only render visible markers (performance optimization)
-  // Add padding to prevent markers from popping in/out while panning
-  const filteredDevices = mapBounds ? (() => {
-    const padding = 0.1 // 10% padding on all sides
-    const paddedBounds = {
-      south: mapBounds.south - (mapBounds.north - mapBounds.south) * padding,
-      north: mapBounds.north + (mapBounds.north - mapBounds.south) * padding,
-      west: mapBounds.west - (mapBounds.east - mapBounds.west) * padding,
-      east: mapBounds.east + (mapBounds.east - mapBounds.west) * padding,
+  // Load the aggregate tiles for low zoom levels
+  // Falls back to individual devices when the aggregates haven't been built
+  useEffect(() => {
+    if (currentZoom === null || currentZoom > MAX_AGGREGATE_MAP_ZOOM) {
+      setTileAggregates(null)
+      return
     }
     
-    return typeFilteredDevices.filter(device => {
-      return device.latitude >= paddedBounds.south &&
-             device.latitude <= paddedBounds.north &&
-             device.longitude >= paddedBounds.west &&
-             device.longitude <= paddedBounds.east
+    let cancelled = false
+    const aggregateZoom = getAggregateZoom(currentZoom)
+    loadTileAggregates(aggregateZoom).then((tiles) => {
+      if (!cancelled) {
+        setTileAggregates(tiles ? { zoom: aggregateZoom, tiles } : null)
+      }
     })
-  })() : typeFilteredDevices
-
-  const deviceTypeLabels = {
-    flock: 'Flock Camera',
-    license_plate_reader: 'License Plate Reader',
-    traffic_camera: 'Traffic Camera',
-    security_camera: 'Security Camera',
-    other: 'Other',
+    
+    return () => {
+      cancelled = true
+    }
+  }, [currentZoom])
+
+  // Ask the cache worker for the devices in view whenever the viewport, filters or cache changes
+  // Hydration and filtering happen off the main thread
+  useEffect(() => {
+    if (!mapBounds) {
+      return
+    }
+    
+    // At low zoom show the precomputed counts instead of individual devices
+    if (tileAggregates) {
+      const tiles = getVisibleTiles(tileAggregates.tiles, mapBounds, selectedTypes, hideRemoved)
+      setVisibleTiles(tiles)
+      setVisibleDeviceCount(tiles.reduce((total, tile) => total + tile.count, 0))
+      setDevices([])
+      return
+    }
+    setVisibleTiles([])
+    
+    if (cacheVersion === 0) {
+      return
+    }
+    
+    let cancelled = false
+    
+    queryVisibleDevices(mapBounds, selectedTypes, currentZoom, null, hideRemoved)
+      .then(({ devices: visibleDevices, total }) => {
+        if (!cancelled) {
+          setDevices(visibleDevices)
+          setVisibleDeviceCount(total)
+        }
+      })
+      .catch((error) => {
+        if (process.env.NODE_ENV === 'development') {
+          console.error('Error querying device cache:', error)
+        }
+      })
+    
+    return () => {
+      cancelled = true
+    }
+  }, [mapBounds, selectedTypes, currentZoom, cacheVersion, tileAggregates, hideRemoved])
+
+  // On mobile at low zoom, DOM markers (clustered or not) are too slow, so always draw on canvas
+  const effectiveRenderMode = isMobile && currentZoom !== null && currentZoom < 8 ? 'canvas' : renderMode
+  
+  // Memoized so the popup isn't reopened on every render
+  const popupPosition = useMemo(
+    () => popupDevice ? [popupDevice.latitude, popupDevice.longitude] : null,
+    [popupDevice]
+  )
+  
+  // Device whose popup is open in any render mode, for the ?device= URL parameter
+  const openDeviceId = popupDevice?.id ?? clusterPopup?.device.id ?? markerPopupDeviceId
+  
+  const handleUrlDeviceClosed = useCallback(() => {
+    setPopupDevice(null)
+    setClusterPopup(null)
+    setMarkerPopupDeviceId(null)
+  }, [])
+  
+  const handleClusterPopupOpen = useCallback((popupInfo) => {
+    setClusterPopup(popupInfo)
+  }, [])
+  
+  const handleClusterPopupClose = useCallback((device) => {
+    setClusterPopup(prev => prev && prev.device.id === device.id ? null : prev)
+  }, [])
+  
+  // The clustered popup shows the device as it is now, not as it was when the popup opened
+  const clusterPopupDevice = useMemo(
+    () => clusterPopup && (devices.find(device => device.id === clusterPopup.device.id) || clusterPopup.device),
+    [clusterPopup, devices]
+  )
+  
+  // The popup opens empty, so reposition it once DevicePopup has rendered into it
+  useEffect(() => {
+    if (clusterPopup) {
+      clusterPopup.popup.update()
+    }
+  }, [clusterPopup])
+  
+  const renderModeLabels = {
+    clustered: { icon: '🔗', label: '🔗 Clustered' },
+    individual: { icon: '📍', label: '📍 Individual' },
+    canvas: { icon: '⚡', label: '⚡ Canvas' },
+  }
+  
+  const cycleRenderMode = () => {
+    setRenderMode(prev => prev === 'clustered' ? 'individual' : prev === 'individual' ? 'canvas' : 'clustered')
   }
 
   const handleSearchSelect = (suggestion) => {
@@ -954,16 +1425,16 @@ function Map() {
               </button>
               <button
                 type="button"
-                onClick={() => setClusteringEnabled(!clusteringEnabled)}
+                onClick={cycleRenderMode}
                 className={`px-3 sm:px-4 py-2 rounded-lg text-xs sm:text-base font-medium transition-colors whitespace-nowrap ${
-                  clusteringEnabled
+                  renderMode !== 'individual'
                     ? 'bg-blue-600 text-white hover:bg-blue-700'
                     : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
                 }`}
-                title="Toggle marker clustering"
+                title="Switch between clustered, individual and canvas markers"
               >
-                <span className="sm:hidden">{clusteringEnabled ? '🔗' : '📍'}</span>
-                <span className="hidden sm:inline">{clusteringEnabled ? '🔗 Clustered' : '📍 Individual'}</span>
+                <span className="sm:hidden">{renderModeLabels[renderMode].icon}</span>
+                <span className="hidden sm:inline">{renderModeLabels[renderMode].label}</span>
               </button>
             </div>
           </form>
@@ -986,7 +1457,7 @@ function Map() {
               <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Surveillance Device Map</h1>
               <div className="flex items-center gap-2 sm:gap-3 flex-wrap">
                 <p className="text-xs sm:text-sm text-gray-600">
-                  {filteredDevices.length} device{filteredDevices.length !== 1 ? 's' : ''} shown
+                  {visibleDeviceCount} device{visibleDeviceCount !== 1 ? 's' : ''} shown
                 </p>
                 <span className="text-gray-300 hidden sm:inline">•</span>
                 <Link to="/privacy" className="text-xs text-blue-600 hover:text-blue-800 underline">
@@ -1009,6 +1480,17 @@ function Map() {
                   {label}
                 </button>
               ))}
+              <button
+                onClick={() => setHideRemoved(prev => !prev)}
+                title='Devices with several unanswered "Not Here" reports'
+                className={`px-2 sm:px-3 py-1 rounded-full text-xs sm:text-sm font-medium transition-colors ${
+                  !hideRemoved
+                    ? 'bg-gray-600 text-white'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                {hideRemoved ? 'Show removed' : 'Hide removed'}
+              </button>
             </div>
           </div>
         </div>
@@ -1069,10 +1551,10 @@ function Map() {
         )}
         
         {/* Subtle device count indicator when loaded */}
-        {!loadingDevices && !authLoading && devices.length > 0 && (
+        {!loadingDevices && !authLoading && visibleDeviceCount > 0 && (
           <div className="absolute top-2 right-2 sm:top-4 sm:right-4 bg-white/95 backdrop-blur-sm px-2 sm:px-3 py-1 sm:py-1.5 rounded-lg shadow-sm z-30 border border-gray-200 flex items-center gap-1.5 sm:gap-2">
             <p className="text-xs text-gray-600 font-medium">
-              {filteredDevices.length} device{filteredDevices.length !== 1 ? 's' : ''}
+              {visibleDeviceCount} device{visibleDeviceCount !== 1 ? 's' : ''}
             </p>
             {/* Development-only refresh button */}
             {process.env.NODE_ENV === 'development' && (
@@ -1080,7 +1562,7 @@ function Map() {
                         onClick={async () => {
                           // Clear IndexedDB cache and force refresh
                           try {
-                            await clearCache()
+                            await clearCachedDevices()
                             setForceRefresh(prev => prev + 1)
                           } catch (error) {
                             console.warn('Failed to clear cache:', error)
@@ -1128,7 +1610,7 @@ function Map() {
         )}
         {/* TEMPORARILY DISABLED: Empty state messages */}
         {/* TODO: Re-enable when device loading is optimized */}
-        {false && filteredDevices.length === 0 && devices.length === 0 && !loadingDevices && !authLoading ? (
+        {false && devices.length === 0 && !loadingDevices && !authLoading ? (
           <div className="absolute inset-0 flex items-center justify-center bg-gray-100 z-20">
             <div className="text-center max-w-md px-4">
               <div className="text-6xl mb-4">🗺️</div>
@@ -1144,7 +1626,7 @@ function Map() {
               </Link>
             </div>
           </div>
-        ) : false && filteredDevices.length === 0 ? (
+        ) : false && devices.length === 0 ? (
           <div className="absolute inset-0 flex items-center justify-center bg-white bg-opacity-90 z-20">
             <div className="text-center max-w-md px-4">
               <p className="text-gray-600 mb-4">
@@ -1156,8 +1638,8 @@ function Map() {
         
         {/* Show map immediately - devices load asynchronously */}
         <MapContainer
-          center={userLocation || [37.0902, -95.7129]} // Default to US center
-          zoom={userLocation ? 12 : (isMobile ? 11 : 10)} // Slightly more zoomed in on mobile
+          center={initialUrlState.center || userLocation || [37.0902, -95.7129]} // Shared link, else US center
+          zoom={initialUrlState.zoom ?? (userLocation ? 12 : (isMobile ? 11 : 10))} // Slightly more zoomed in on mobile
           minZoom={isMobile ? 6 : 3} // Prevent zooming out too far on mobile
           maxZoom={18}
           style={{ height: '100%', width: '100%' }}
@@ -1222,22 +1704,54 @@ function Map() {
               </Marker>
             )}
             
+            {/* At country and state zoom, show precomputed per-tile counts */}
+            {tileAggregates && (
+              <TileAggregateLayer
+                tiles={visibleTiles}
+                zoom={tileAggregates.zoom}
+                deviceTypeLabels={deviceTypeLabels}
+              />
+            )}
+            
             {/* STEP 1: Enable marker rendering (devices array is empty for now) */}
-            {/* On mobile at low zoom, disable clustering to prevent lag */}
-            {clusteringEnabled && filteredDevices.length > 0 && 
-             (!isMobile || currentZoom === null || currentZoom >= 7) && (
+            {effectiveRenderMode === 'clustered' && devices.length > 0 && (
               <MarkerClusterGroup 
-                devices={filteredDevices}
+                devices={devices}
                 deviceIcons={deviceIcons}
-                deviceTypeLabels={deviceTypeLabels}
-                enabled={clusteringEnabled}
+                enabled={effectiveRenderMode === 'clustered'}
+                onPopupOpen={handleClusterPopupOpen}
+                onPopupClose={handleClusterPopupClose}
               />
             )}
             
+            {clusterPopup && createPortal(
+              <DevicePopup device={clusterPopupDevice} deviceTypeLabels={deviceTypeLabels} />,
+              clusterPopup.container
+            )}
+            
+            {/* Canvas rendering: one canvas for all devices, default on mobile */}
+            {effectiveRenderMode === 'canvas' && (
+              <CanvasDeviceLayer devices={devices} onDeviceClick={setPopupDevice} />
+            )}
+            
+            {currentZoom !== null && currentZoom >= VIEW_CONE_MIN_ZOOM && (
+              <ViewConeLayer devices={devices} zoom={currentZoom} />
+            )}
+            
+            {popupDevice && (
+              <Popup
+                key={popupDevice.id}
+                position={popupPosition}
+                offset={effectiveRenderMode === 'canvas' ? [0, -4] : [0, -36]}
+                eventHandlers={{ remove: () => setPopupDevice(prev => prev && prev.id === popupDevice.id ? null : prev) }}
+              >
+                <DevicePopup device={popupDevice} deviceTypeLabels={deviceTypeLabels} />
+              </Popup>
+            )}
+            
             {/* STEP 1: Enable individual markers (devices array is empty for now) */}
-            {/* On mobile at low zoom, limit number of markers to prevent lag */}
-            {!clusteringEnabled && filteredDevices.slice(0, isMobile && currentZoom !== null && currentZoom < 8 ? 500 : filteredDevices.length).map((device) => {
-              const isInactive = (device.inactiveReports || 0) > 0
+            {effectiveRenderMode === 'individual' && devices.map((device) => {
+              const status = getDeviceStatus(device)
               const icon = deviceIcons[device.type] || deviceIcons.other
               
               return (
@@ -1245,7 +1759,12 @@ function Map() {
                   key={device.id}
                   position={[device.latitude, device.longitude]}
                   icon={icon}
-                  opacity={isInactive ? 0.5 : 1}
+                  opacity={deviceStatusOpacity[status]}
+                  title={status !== 'active' ? deviceStatusLabels[status] : ''}
+                  eventHandlers={{
+                    popupopen: () => setMarkerPopupDeviceId(device.id),
+                    popupclose: () => setMarkerPopupDeviceId(prev => prev === device.id ? null : prev),
+                  }}
                 >
                   <Popup>
                     <DevicePopup device={device} deviceTypeLabels={deviceTypeLabels} />
@@ -1265,6 +1784,14 @@ function Map() {
               onBoundsChange={handleBoundsChange}
               onZoomChange={setCurrentZoom}
             />
+            
+            <MapUrlSync
+              selectedTypes={selectedTypes}
+              openDeviceId={openDeviceId}
+              onTypesChange={setSelectedTypes}
+              onDeviceLoaded={setPopupDevice}
+              onDeviceClosed={handleUrlDeviceClosed}
+            />
             {/* Don't auto-fit bounds - let user control the map */}
           </MapContainer>
       </div>
@@ -0,0 +1,512 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import {
+  getFlaggedDevices,
+  getDevicesWithInactiveReports,
+  getNewAccountSubmissions,
+  getHiddenDevices,
+  getRecentlyDeletedDevices,
+  getModerationLog,
+  hideDevice,
+  restoreDevice,
+  moderatorDeleteDevice,
+  mergeDevices,
+  combineMergePhotos,
+  dismissReports,
+  MODERATION_INACTIVE_THRESHOLD,
+  REPORT_HIDE_THRESHOLD,
+  NEW_ACCOUNT_DAYS,
+  MAX_PHOTOS_PER_DEVICE,
+} from '../firebase/services'
+import { deviceTypeLabels } from '../utils/mapIcons'
+import { reportReasonLabels } from '../utils/reportReasons'
+import { getConfirmationCount } from '../utils/deviceStatus'
+import { findMergeCandidates, DUPLICATE_RADIUS_METERS, MAX_SCAN_DEVICES } from '../utils/duplicateCheck'
+import RegionPicker from '../components/RegionPicker'
+import MergePhotoChooser from '../components/MergePhotoChooser'
+
+const TABS = [
+  { id: 'flagged', label: '🚩 Flagged', description: `Devices with open abuse reports. ${REPORT_HIDE_THRESHOLD} reports hide a device until it is reviewed.`, load: () => getFlaggedDevices() },
+  { id: 'reported', label: '❌ Not Here', description: `Live devices with at least ${MODERATION_INACTIVE_THRESHOLD} "Not Here" reports.`, load: () => getDevicesWithInactiveReports() },
+  { id: 'new', label: '🆕 New Accounts', description: `Recent submissions from accounts that started submitting in the last ${NEW_ACCOUNT_DAYS} days.`, load: () => getNewAccountSubmissions() },
+  { id: 'hidden', label: '🙈 Hidden', description: 'Devices hidden by a moderator. They stay hidden until restored or deleted.', load: () => getHiddenDevices() },
+  { id: 'deleted', label: '🗑️ Deleted', description: 'Deleted and merged devices that can still be restored before they are purged.', load: () => getRecentlyDeletedDevices() },
+  { id: 'log', label: '📋 Log', description: 'Every moderator action, newest first.', load: () => getModerationLog() },
+  // Scanned on demand for a region the moderator picks, so there is nothing to load up front
+  { id: 'duplicates', label: '🔀 Duplicates', description: 'Pairs of devices close together that are probably the same device. Merging keeps the first and redirects the second to it.', load: null },
+]
+
+// Largest area a duplicate scan covers, in square degrees (roughly a large city)
+const MAX_SCAN_AREA = 1
+
+const ACTION_LABELS = {
+  hide: 'Hid',
+  restore: 'Restored',
+  delete: 'Deleted',
+  dismiss: 'Dismissed reports on',
+  merge: 'Merged',
+}
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return 'Unknown date'
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp)
+  return date.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+}
+
+// One device in a queue, with its moderation actions
+function QueueDevice({ device, busy, onAction }) {
+  const isLive = !device.deleted
+
+  return (
+    <li className="p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+      <div className="min-w-0">
+        {isLive ? (
+          <Link to={`/devices/${device.id}`} className="font-semibold text-gray-900 hover:text-blue-600">
+            {deviceTypeLabels[device.type] || 'Unknown Device'}
+          </Link>
+        ) : (
+          <p className="font-semibold text-gray-900">{deviceTypeLabels[device.type] || 'Unknown Device'}</p>
+        )}
+        <p className="text-sm text-gray-600 truncate">
+          {device.address || `${device.latitude.toFixed(5)}, ${device.longitude.toFixed(5)}`}
+        </p>
+        {device.description && (
+          <p className="text-sm text-gray-700 truncate">{device.description}</p>
+        )}
+        <p className="text-xs text-gray-500 mt-1">
+          Reported {formatDate(device.createdAt)}
+          {' · '}{device.reportedBy?.isAnonymous ? 'Guest' : 'Account'} {(device.reportedBy?.uid || '').slice(0, 6)}
+          {device.reporterSubmissionCount != null && ` (${device.reporterSubmissionCount} submission${device.reporterSubmissionCount !== 1 ? 's' : ''})`}
+          {' · '}👍 {getConfirmationCount(device)}
+          {' · '}❌ {device.inactiveReports || 0}
+        </p>
+        {device.hidden && (
+          <p className="text-xs text-gray-500">
+            {device.hiddenReason === 'reports' ? 'Hidden automatically by reports' : 'Hidden'} {formatDate(device.hiddenAt)}
+          </p>
+        )}
+        {device.reports?.length > 0 && (
+          <ul className="mt-1 text-xs text-red-800 space-y-0.5">
+            {device.reports.map(report => (
+              <li key={report.id}>
+                🚩 {reportReasonLabels[report.reason] || report.reason}
+                {report.duplicateOf && <> of <code>{report.duplicateOf}</code></>}
+                {report.details && <span className="text-gray-600 italic"> &ldquo;{report.details}&rdquo;</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+        {device.deletedAt && (
+          <p className="text-xs text-gray-500">
+            {device.mergedInto ? `Merged into ${device.mergedInto}` : 'Deleted'} {formatDate(device.deletedAt)}
+          </p>
+        )}
+        <p className="text-xs text-gray-400 mt-1"><code>{device.id}</code></p>
+      </div>
+      <div className="flex flex-wrap gap-2 flex-shrink-0">
+        {isLive && (
+          <>
+            <button
+              type="button"
+              onClick={() => onAction('hide', device)}
+              disabled={busy}
+              className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm font-medium rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+            >
+              Hide
+            </button>
+            <button
+              type="button"
+              onClick={() => onAction('merge', device)}
+              disabled={busy}
+              className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm font-medium rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+            >
+              Merge…
+            </button>
+          </>
+        )}
+        {isLive && device.reportCount > 0 && (
+          <button
+            type="button"
+            onClick={() => onAction('dismiss', device)}
+            disabled={busy}
+            className="px-3 py-1.5 bg-green-50 text-green-700 text-sm font-medium rounded-md hover:bg-green-100 transition-colors disabled:opacity-50"
+          >
+            Dismiss Reports
+          </button>
+        )}
+        {!isLive && (
+          <button
+            type="button"
+            onClick={() => onAction('restore', device)}
+            disabled={busy}
+            className="px-3 py-1.5 bg-green-50 text-green-700 text-sm font-medium rounded-md hover:bg-green-100 transition-colors disabled:opacity-50"
+          >
+            Restore
+          </button>
+        )}
+        {(isLive || device.hidden) && (
+          <button
+            type="button"
+            onClick={() => onAction('delete', device)}
+            disabled={busy}
+            className="px-3 py-1.5 bg-red-50 text-red-700 text-sm font-medium rounded-md hover:bg-red-100 transition-colors disabled:opacity-50"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </li>
+  )
+}
+
+// Device summary within a duplicate pair
+function CandidateDevice({ device }) {
+  return (
+    <div className="min-w-0">
+      <Link to={`/devices/${device.id}`} target="_blank" className="font-medium text-gray-900 hover:text-blue-600">
+        {deviceTypeLabels[device.type] || 'Unknown Device'}
+      </Link>
+      <span className="text-gray-500"> · 👍 {getConfirmationCount(device)} · ❌ {device.inactiveReports || 0}</span>
+      <p className="text-xs text-gray-500 truncate">{device.address || device.description || device.id}</p>
+    </div>
+  )
+}
+
+// Batch duplicate finder: scans a region for devices within a radius of each
+// other and merges the pairs one at a time
+function MergeCandidates({ moderatorUid }) {
+  const [bounds, setBounds] = useState(null)
+  const [radius, setRadius] = useState(DUPLICATE_RADIUS_METERS)
+  const [pairs, setPairs] = useState(null)
+  const [truncated, setTruncated] = useState(false)
+  const [scanning, setScanning] = useState(false)
+  const [busyKey, setBusyKey] = useState(null)
+  const [error, setError] = useState(null)
+  // Merge waiting for a choice of photos: {key, source, target, reason, photos}
+  const [pendingMerge, setPendingMerge] = useState(null)
+
+  const handleScan = async () => {
+    if ((bounds.north - bounds.south) * (bounds.east - bounds.west) > MAX_SCAN_AREA) {
+      setError('That region is too large to scan at once. Draw a smaller one.')
+      return
+    }
+
+    setScanning(true)
+    setError(null)
+    try {
+      const result = await findMergeCandidates(bounds, radius)
+      setPairs(result.candidates)
+      setTruncated(result.truncated)
+    } catch (err) {
+      setError('Failed to scan for duplicates. Please try again.')
+    } finally {
+      setScanning(false)
+    }
+  }
+
+  const handleMerge = async (pair, swap) => {
+    const [target, source] = swap ? [pair.merge, pair.keep] : [pair.keep, pair.merge]
+    const reason = window.prompt('Reason for this merge (optional):', `Duplicate within ${Math.round(pair.distance)} m`)
+    if (reason === null) return
+
+    const key = `${pair.keep.id}:${pair.merge.id}`
+    const photos = combineMergePhotos(target, source)
+    if (photos.length > MAX_PHOTOS_PER_DEVICE) {
+      setPendingMerge({ key, source, target, reason, photos })
+      return
+    }
+    await runMerge(key, source, target, reason, null)
+  }
+
+  const runMerge = async (key, source, target, reason, keepPhotoIds) => {
+    setBusyKey(key)
+    try {
+      await mergeDevices(source.id, target.id, moderatorUid, reason.trim(), keepPhotoIds)
+      setPendingMerge(null)
+      // Other pairs with the merged device are stale now
+      setPairs(prev => prev.filter(other => other.keep.id !== source.id && other.merge.id !== source.id))
+    } catch (err) {
+      console.error('Error merging devices:', err)
+      alert(`Failed to merge devices: ${err.message}`)
+    } finally {
+      setBusyKey(null)
+    }
+  }
+
+  const handleSkip = (pair) => {
+    setPairs(prev => prev.filter(other => other !== pair))
+  }
+
+  return (
+    <div>
+      <div className="mb-4">
+        <RegionPicker bounds={bounds} onBoundsChange={setBounds} height="350px" />
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <label className="flex items-center gap-2 text-gray-700">
+          Within
+          <input
+            type="number"
+            min="1"
+            max="200"
+            value={radius}
+            onChange={(e) => setRadius(Math.min(200, Math.max(1, Number(e.target.value) || 1)))}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+          />
+          m of each other
+        </label>
+        <button
+          type="button"
+          onClick={handleScan}
+          disabled={!bounds || scanning}
+          className="px-4 py-1.5 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {scanning ? 'Scanning...' : bounds ? 'Find Duplicates' : 'Draw a region first'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 rounded-lg bg-red-50 text-red-800 border border-red-200">
+          {error}
+        </div>
+      )}
+
+      {pairs && truncated && (
+        <div className="mb-4 p-4 rounded-lg bg-yellow-50 text-yellow-900 border border-yellow-300 text-sm">
+          This region has more than {MAX_SCAN_DEVICES.toLocaleString()} devices, so only part of it was checked.
+          Draw a smaller region to find every duplicate.
+        </div>
+      )}
+
+      {pairs && (pairs.length === 0 ? (
+        <div className="text-center py-12 bg-white border border-gray-200 rounded-lg">
+          <p className="text-gray-600">No likely duplicates in this region.</p>
+        </div>
+      ) : (
+        <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {pairs.map((pair) => {
+            const key = `${pair.keep.id}:${pair.merge.id}`
+            return (
+              <li key={key} className="p-4 text-sm">
+                <div className="grid sm:grid-cols-2 gap-3 mb-2">
+                  <CandidateDevice device={pair.keep} />
+                  <CandidateDevice device={pair.merge} />
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs text-gray-500 mr-auto">{Math.round(pair.distance)} m apart</span>
+                  <button
+                    type="button"
+                    onClick={() => handleMerge(pair, false)}
+                    disabled={busyKey === key || pendingMerge?.key === key}
+                    className="px-3 py-1.5 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+                  >
+                    Merge right into left
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleMerge(pair, true)}
+                    disabled={busyKey === key || pendingMerge?.key === key}
+                    className="px-3 py-1.5 bg-gray-100 text-gray-700 font-medium rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+                  >
+                    Merge left into right
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleSkip(pair)}
+                    disabled={busyKey === key || pendingMerge?.key === key}
+                    className="px-3 py-1.5 text-gray-600 hover:text-gray-900 underline disabled:opacity-50"
+                  >
+                    Not a duplicate
+                  </button>
+                </div>
+                {pendingMerge?.key === key && (
+                  <div className="mt-3">
+                    <MergePhotoChooser
+                      photos={pendingMerge.photos}
+                      max={MAX_PHOTOS_PER_DEVICE}
+                      busy={busyKey === key}
+                      onConfirm={(keepPhotoIds) => runMerge(key, pendingMerge.source, pendingMerge.target, pendingMerge.reason, keepPhotoIds)}
+                      onCancel={() => setPendingMerge(null)}
+                    />
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      ))}
+    </div>
+  )
+}
+
+function Moderation() {
+  const { currentUser, isModerator } = useAuth()
+  const [activeTab, setActiveTab] = useState('flagged')
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const tab = TABS.find(t => t.id === activeTab)
+
+  useEffect(() => {
+    if (!isModerator || !tab.load) {
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+    tab.load()
+      .then((queueItems) => {
+        if (!cancelled) {
+          setItems(queueItems)
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setError('Failed to load the queue. Please try again.')
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isModerator, tab])
+
+  const handleAction = async (action, device) => {
+    let targetId = null
+    if (action === 'merge') {
+      // Duplicate reports usually name the device to keep
+      const suggestedTarget = device.reports?.find(report => report.duplicateOf)?.duplicateOf || ''
+      targetId = window.prompt('Merge into which device? Enter the ID of the device to keep.', suggestedTarget)
+      if (!targetId) return
+      targetId = targetId.trim()
+    }
+
+    // null means the moderator cancelled; an empty reason is fine
+    const reason = window.prompt('Reason for this action (optional):', '')
+    if (reason === null) return
+
+    setBusyId(device.id)
+    try {
+      if (action === 'hide') {
+        await hideDevice(device.id, currentUser.uid, reason.trim())
+      } else if (action === 'restore') {
+        await restoreDevice(device.id, currentUser.uid, reason.trim())
+      } else if (action === 'delete') {
+        await moderatorDeleteDevice(device.id, currentUser.uid, reason.trim())
+      } else if (action === 'merge') {
+        await mergeDevices(device.id, targetId, currentUser.uid, reason.trim())
+      } else if (action === 'dismiss') {
+        await dismissReports(device.id, currentUser.uid, reason.trim())
+      }
+      setItems(prev => prev.filter(item => item.id !== device.id))
+    } catch (error) {
+      console.error(`Error running ${action}:`, error)
+      alert(`Failed to ${action} device: ${error.message}`)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (!isModerator) {
+    return (
+      <div className="container mx-auto px-4 py-12 max-w-2xl text-center">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-4">Moderators Only</h1>
+        <p className="text-gray-600 mb-6">You need a moderator role to use the moderation queue.</p>
+        <Link to="/map" className="text-blue-600 hover:text-blue-800 underline">
+          Back to the map
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 sm:py-12 max-w-4xl">
+      <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-gray-900 mb-2">Moderation</h1>
+      <p className="text-sm sm:text-base text-gray-600 mb-6">
+        Hide, merge, restore or delete devices. Every action is logged with your account.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {TABS.map(t => (
+          <button
+            key={t.id}
+            type="button"
+            onClick={() => setActiveTab(t.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              activeTab === t.id ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      <p className="text-sm text-gray-600 mb-4">{tab.description}</p>
+
+      {error && (
+        <div className="mb-6 p-4 rounded-lg bg-red-50 text-red-800 border border-red-200">
+          {error}
+        </div>
+      )}
+
+      {activeTab === 'duplicates' ? (
+        <MergeCandidates moderatorUid={currentUser.uid} />
+      ) : loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mb-2"></div>
+          <p className="text-sm text-gray-600">Loading...</p>
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-12 bg-white border border-gray-200 rounded-lg">
+          <p className="text-gray-600">Nothing here right now.</p>
+        </div>
+      ) : activeTab === 'log' ? (
+        <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {items.map(entry => (
+            <li key={entry.id} className="px-4 py-3 text-sm">
+              <p className="text-gray-900">
+                <span className="font-medium">{ACTION_LABELS[entry.action] || entry.action}</span>{' '}
+                <code className="text-xs bg-gray-100 px-1 rounded">{entry.deviceId}</code>
+                {entry.targetDeviceId && (
+                  <> into <code className="text-xs bg-gray-100 px-1 rounded">{entry.targetDeviceId}</code></>
+                )}
+              </p>
+              {entry.reason && <p className="text-gray-600 italic">&ldquo;{entry.reason}&rdquo;</p>}
+              <p className="text-xs text-gray-500">
+                {formatDate(entry.createdAt)}
+                {' · '}{entry.moderatorUid === currentUser.uid ? 'You' : `Moderator ${entry.moderatorUid.slice(0, 6)}`}
+              </p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {items.map(device => (
+            <QueueDevice
+              key={device.id}
+              device={device}
+              busy={busyId === device.id}
+              onAction={handleAction}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default Moderation
@@ -0,0 +1,184 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import { getDevicesByUser, deleteDevice } from '../firebase/services'
+import { deviceTypeLabels } from '../utils/mapIcons'
+import { getDeviceMapUrl } from '../utils/mapUrl'
+import { getConfirmationCount } from '../utils/deviceStatus'
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return 'Unknown date'
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp)
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  })
+}
+
+// Summary number at the top of the page
+function StatCard({ value, label }) {
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+      <p className="text-2xl sm:text-3xl font-bold text-gray-900">{value}</p>
+      <p className="text-xs sm:text-sm text-gray-600 mt-1">{label}</p>
+    </div>
+  )
+}
+
+function MySubmissions() {
+  const { currentUser } = useAuth()
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [deletingId, setDeletingId] = useState(null)
+
+  useEffect(() => {
+    if (!currentUser) {
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    getDevicesByUser(currentUser.uid)
+      .then((userDevices) => {
+        if (!cancelled) {
+          setDevices(userDevices)
+          setError(null)
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setError('Failed to load your submissions. Please try again.')
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [currentUser])
+
+  const handleDelete = async (device) => {
+    const label = deviceTypeLabels[device.type] || 'device'
+    if (!window.confirm(`Delete this ${label}${device.address ? ` at ${device.address}` : ''}? This can't be undone.`)) {
+      return
+    }
+
+    setDeletingId(device.id)
+    try {
+      await deleteDevice(device.id, currentUser.uid)
+      setDevices(prev => prev.filter(d => d.id !== device.id))
+    } catch (error) {
+      console.error('Error deleting device:', error)
+      alert('Failed to delete device. Please try again.')
+    } finally {
+      setDeletingId(null)
+    }
+  }
+
+  const totalConfirmations = devices.reduce((total, device) => total + getConfirmationCount(device), 0)
+  const totalInactiveReports = devices.reduce((total, device) => total + (device.inactiveReports || 0), 0)
+
+  return (
+    <div className="container mx-auto px-4 py-8 sm:py-12 max-w-4xl">
+      <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-gray-900 mb-2">My Submissions</h1>
+      <p className="text-sm sm:text-base text-gray-600 mb-6">
+        Devices you&apos;ve reported and how the community has responded to them.
+      </p>
+
+      {currentUser?.isAnonymous && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-6">
+          <p className="text-xs sm:text-sm text-gray-700">
+            <strong>Guest account:</strong> these submissions are tied to this browser. If you clear your
+            browser data you will lose access to them.
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 p-4 rounded-lg bg-red-50 text-red-800 border border-red-200">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mb-2"></div>
+          <p className="text-sm text-gray-600">Loading your submissions...</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-3 sm:gap-4 mb-8">
+            <StatCard value={devices.length} label="Devices" />
+            <StatCard value={totalConfirmations} label="👍 Confirmations" />
+            <StatCard value={totalInactiveReports} label="❌ Not Here" />
+          </div>
+
+          {devices.length === 0 ? (
+            <div className="text-center py-12 bg-white border border-gray-200 rounded-lg">
+              <p className="text-gray-600 mb-4">You haven&apos;t submitted any devices yet.</p>
+              <Link
+                to="/submit"
+                className="inline-block px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Submit a Device
+              </Link>
+            </div>
+          ) : (
+            <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-200">
+              {devices.map(device => (
+                <li key={device.id} className="p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div className="min-w-0">
+                    <Link
+                      to={`/devices/${device.id}`}
+                      className="font-semibold text-gray-900 hover:text-blue-600"
+                    >
+                      {deviceTypeLabels[device.type] || 'Unknown Device'}
+                    </Link>
+                    <p className="text-sm text-gray-600 truncate">
+                      {device.address || `${device.latitude.toFixed(5)}, ${device.longitude.toFixed(5)}`}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Reported {formatDate(device.createdAt)}
+                      {' · '}👍 {getConfirmationCount(device)}
+                      {' · '}❌ {device.inactiveReports || 0}
+                    </p>
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    <Link
+                      to={getDeviceMapUrl(device)}
+                      className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm font-medium rounded-md hover:bg-gray-200 transition-colors"
+                    >
+                      Map
+                    </Link>
+                    <Link
+                      to={`/devices/${device.id}/edit`}
+                      className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm font-medium rounded-md hover:bg-gray-200 transition-colors"
+                    >
+                      Edit
+                    </Link>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(device)}
+                      disabled={deletingId === device.id}
+                      className="px-3 py-1.5 bg-red-50 text-red-700 text-sm font-medium rounded-md hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {deletingId === device.id ? 'Deleting...' : 'Delete'}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MySubmissions
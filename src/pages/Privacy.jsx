@@ -56,6 +56,10 @@ function Privacy() {
               <span className="text-blue-600 mt-1">•</span>
               <span><strong>Device Reports:</strong> When you submit a surveillance device, we store only the location coordinates, device type, and optional description you provide. No personal information is attached.</span>
             </li>
+            <li className="flex items-start gap-2">
+              <span className="text-blue-600 mt-1">•</span>
+              <span><strong>Photos:</strong> Photos you attach to a device are public. Before upload they are resized and re-encoded in your browser, which removes the GPS location, camera model, capture time and all other embedded metadata. When you fill in a device&apos;s location from a photo, the photo is read in your browser and nothing from it is sent to us.</span>
+            </li>
             <li className="flex items-start gap-2">
               <span className="text-blue-600 mt-1">•</span>
               <span><strong>Voting Data:</strong> If you thumbs-up or report a device as inactive, we store only your anonymous user ID to prevent duplicate votes. This cannot identify you.</span>
@@ -1,25 +1,129 @@
-import { useState } from 'react'
-import { Link } from 'react-router-dom'
+import { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
 import { useAuth } from '../hooks/useAuth'
-import { addDevice, geocodeAddress } from '../firebase/services'
+import { addDevice, addDevicePhoto, getDevice, updateDevice, addSuggestion, geocodeAddress, SUGGESTION_CONFIRMATION_THRESHOLD, MAX_PHOTOS_PER_DEVICE } from '../firebase/services'
 import MapPicker from '../components/MapPicker'
 import SearchAutocomplete from '../components/SearchAutocomplete'
+import LoadingSpinner from '../components/LoadingSpinner'
+import PhotoPicker from '../components/PhotoPicker'
+import PhotoLocationPrefill from '../components/PhotoLocationPrefill'
+import PossibleDuplicates from '../components/PossibleDuplicates'
+import { getDirections } from '../utils/direction'
+import { preparePhoto } from '../utils/photoProcessing'
+import { findPossibleDuplicates, confirmExistingDevice } from '../utils/duplicateCheck'
 
-function Submit() {
+// A blank form, also restored by resetForm after a submission
+const EMPTY_FORM = {
+  type: 'flock',
+  latitude: '',
+  longitude: '',
+  address: '',
+  description: '',
+  direction: [],
+  fov: '',
+}
+
+// Only the fields that differ from the device, in the shape addSuggestion expects
+const getSuggestedChanges = (device, deviceData) => {
+  const changes = {}
+  if (deviceData.type !== device.type) {
+    changes.type = deviceData.type
+  }
+  if (deviceData.latitude !== device.latitude || deviceData.longitude !== device.longitude) {
+    changes.latitude = deviceData.latitude
+    changes.longitude = deviceData.longitude
+  }
+  if (deviceData.description !== (device.description || null)) {
+    changes.description = deviceData.description
+  }
+  // Older devices store a single bearing rather than a list
+  if (JSON.stringify(getDirections(deviceData.direction)) !== JSON.stringify(getDirections(device.direction))) {
+    changes.direction = deviceData.direction
+  }
+  if (deviceData.fov !== (device.fov ?? null)) {
+    changes.fov = deviceData.fov
+  }
+  return changes
+}
+
+// Also used at /devices/:id/edit, where it edits one of the user's own submissions,
+// and at /devices/:id/suggest (mode="suggest"), where it proposes a change to someone else's
+function Submit({ mode }) {
   const { currentUser } = useAuth()
-  const [formData, setFormData] = useState({
-    type: 'flock',
-    latitude: '',
-    longitude: '',
-    address: '',
-    description: '',
-  })
+  const { id: editDeviceId } = useParams()
+  const navigate = useNavigate()
+  const isSuggesting = mode === 'suggest'
+  const isEditing = Boolean(editDeviceId) && !isSuggesting
+  const [loadingDevice, setLoadingDevice] = useState(Boolean(editDeviceId))
+  const [editError, setEditError] = useState(null)
+  // The device as loaded, to work out what a suggestion changes
+  const [originalDevice, setOriginalDevice] = useState(null)
+  const [suggestionReason, setSuggestionReason] = useState('')
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  // Prepared (resized, metadata-free) photos, uploaded once the device is saved
+  const [photos, setPhotos] = useState([])
+  // Existing devices close to a new submission, shown before it's written
+  const [possibleDuplicates, setPossibleDuplicates] = useState([])
   const [submitting, setSubmitting] = useState(false)
   const [gettingLocation, setGettingLocation] = useState(false)
   const [searchingAddress, setSearchingAddress] = useState(false)
   const [addressSearchQuery, setAddressSearchQuery] = useState('')
   const [message, setMessage] = useState({ type: '', text: '' })
 
+  // Load the device being edited (or suggested for) and check who owns it
+  useEffect(() => {
+    if (!editDeviceId) {
+      return
+    }
+
+    let cancelled = false
+    setLoadingDevice(true)
+    getDevice(editDeviceId)
+      .then((device) => {
+        if (cancelled) return
+        if (!device) {
+          setEditError('This device doesn\'t exist or has been removed.')
+        } else if (isSuggesting && currentUser && device.reportedBy?.uid === currentUser.uid) {
+          // No need to suggest changes to your own submission
+          navigate(`/devices/${editDeviceId}/edit`, { replace: true })
+        } else if (!isSuggesting && (!currentUser || device.reportedBy?.uid !== currentUser.uid)) {
+          setEditError('You can only edit devices you submitted.')
+        } else {
+          setEditError(null)
+          setOriginalDevice(device)
+          setFormData({
+            type: device.type,
+            latitude: device.latitude.toString(),
+            longitude: device.longitude.toString(),
+            address: device.address || '',
+            description: device.description || '',
+            direction: getDirections(device.direction),
+            fov: device.fov != null ? device.fov.toString() : '',
+          })
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setEditError('Failed to load device. Please try again.')
+        }
+        console.error('Error loading device for editing:', error)
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoadingDevice(false)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [editDeviceId, currentUser, isSuggesting, navigate])
+
+  // A different position or type needs a fresh duplicate check
+  useEffect(() => {
+    setPossibleDuplicates([])
+  }, [formData.type, formData.latitude, formData.longitude])
+
   const handleChange = (e) => {
     const { name, value } = e.target
     setFormData(prev => ({
@@ -28,11 +132,13 @@ function Submit() {
     }))
   }
 
-  const handleLocationChange = (lat, lng) => {
+  // direction is only passed when it's known too (e.g. read from a photo)
+  const handleLocationChange = (lat, lng, direction = null) => {
     setFormData(prev => ({
       ...prev,
       latitude: lat.toString(),
       longitude: lng.toString(),
+      ...(direction ? { direction } : {}),
       // Clear address search query when manually setting location
       // (user might want to set a different address)
     }))
@@ -42,6 +148,16 @@ function Submit() {
     }
   }
 
+  // Attach the photo the location was read from; preparePhoto drops its metadata
+  const handleAttachLocationPhoto = async (file) => {
+    try {
+      const photo = await preparePhoto(file)
+      setPhotos(prev => (prev.length < MAX_PHOTOS_PER_DEVICE ? [...prev, photo] : prev))
+    } catch (error) {
+      setMessage({ type: 'error', text: `Couldn't attach the photo: ${error.message}` })
+    }
+  }
+
   const handleAddressSelect = (suggestion) => {
     // Update address field and coordinates
     setFormData(prev => ({
@@ -78,8 +194,35 @@ function Submit() {
     }
   }
 
-  const handleSubmit = async (e) => {
-    e.preventDefault()
+  // Upload the attached photos to a saved device, up to the photos it has room for
+  // The device is saved at this point, so a failed photo doesn't fail the submission
+  const uploadPhotos = async (deviceId, existingPhotos = 0) => {
+    let failed = 0
+    for (const photo of photos.slice(0, MAX_PHOTOS_PER_DEVICE - existingPhotos)) {
+      try {
+        await addDevicePhoto(deviceId, photo, currentUser.uid)
+      } catch (photoError) {
+        console.error('Photo upload failed:', photoError)
+        failed++
+      }
+    }
+    return failed
+  }
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM)
+    setPhotos([])
+    setPossibleDuplicates([])
+  }
+
+  const photoFailureText = (failedPhotos) => (
+    failedPhotos > 0
+      ? ` ${failedPhotos} photo${failedPhotos !== 1 ? 's' : ''} failed to upload; you can add photos from the device page.`
+      : ''
+  )
+
+  // skipDuplicateCheck is set once the user has said it isn't one of the nearby devices
+  const submitForm = async (skipDuplicateCheck = false) => {
     setSubmitting(true)
     setMessage({ type: '', text: '' })
 
@@ -90,27 +233,53 @@ function Submit() {
         longitude: parseFloat(formData.longitude),
         address: formData.address || null,
         description: formData.description || null,
+        direction: formData.direction.length > 0 ? formData.direction : null,
+        fov: formData.direction.length > 0 && formData.fov !== '' ? parseFloat(formData.fov) : null,
+      }
+
+      if (isSuggesting) {
+        const changes = getSuggestedChanges(originalDevice, deviceData)
+        if (Object.keys(changes).length === 0) {
+          setMessage({ type: 'error', text: 'Change at least one field to suggest an edit.' })
+          return
+        }
+        await addSuggestion(editDeviceId, changes, suggestionReason.trim(), currentUser)
+        navigate(`/devices/${editDeviceId}`)
+        return
+      }
+
+      if (isEditing) {
+        await updateDevice(editDeviceId, deviceData, currentUser.uid)
+        navigate(`/devices/${editDeviceId}`)
+        return
+      }
+
+      if (!skipDuplicateCheck) {
+        // A failed check shouldn't stop the submission
+        const duplicates = await findPossibleDuplicates(deviceData.latitude, deviceData.longitude, deviceData.type)
+          .catch(() => [])
+        if (duplicates.length > 0) {
+          setPossibleDuplicates(duplicates)
+          return
+        }
       }
 
-      await addDevice(deviceData, currentUser)
+      const deviceId = await addDevice(deviceData, currentUser)
+      const failedPhotos = await uploadPhotos(deviceId)
       
       setMessage({ 
         type: 'success', 
-        text: 'Device submitted successfully! Thank you for contributing.' 
-      })
-      
-      // Reset form
-      setFormData({
-        type: 'flock',
-        latitude: '',
-        longitude: '',
-        address: '',
-        description: '',
+        text: failedPhotos > 0
+          ? `Device submitted.${photoFailureText(failedPhotos)}`
+          : 'Device submitted successfully! Thank you for contributing.' 
       })
+      resetForm()
     } catch (error) {
       setMessage({ 
         type: 'error', 
-        text: 'Failed to submit device. Please try again.' 
+        text: isSuggesting
+          ? 'Failed to send suggestion. Please try again.'
+          : isEditing ? 'Failed to save changes. Please try again.' : 'Failed to submit device. Please try again.' 
       })
       console.error('Submission error:', error)
     } finally {
@@ -118,11 +287,60 @@ function Submit() {
     }
   }
 
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    submitForm()
+  }
+
+  // The user picked an existing device: confirm it and give it their photos
+  const handleConfirmExisting = async (device) => {
+    setSubmitting(true)
+    setMessage({ type: '', text: '' })
+    try {
+      const added = await confirmExistingDevice(device.id, currentUser.uid)
+      const failedPhotos = await uploadPhotos(device.id, device.photos?.length || 0)
+      setMessage({
+        type: 'success',
+        text: (added
+          ? 'Thanks! You confirmed the existing device instead of adding a duplicate.'
+          : 'You have already confirmed this device. Thanks for checking!') + photoFailureText(failedPhotos),
+      })
+      resetForm()
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to confirm the device. Please try again.' })
+      console.error('Error confirming existing device:', error)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (loadingDevice) {
+    return <LoadingSpinner />
+  }
+
+  if (editError) {
+    return (
+      <div className="container mx-auto px-4 py-12 max-w-2xl text-center">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-4">Can&apos;t Edit Device</h1>
+        <p className="text-gray-600 mb-6">{editError}</p>
+        <Link to={`/devices/${editDeviceId}`} className="text-blue-600 hover:text-blue-800 underline">
+          Back to the device
+        </Link>
+      </div>
+    )
+  }
+
   return (
     <div className="container mx-auto px-4 py-8 sm:py-12 max-w-2xl">
-      <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-gray-900 mb-2">Submit a Device</h1>
+      <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-gray-900 mb-2">
+        {isSuggesting ? 'Suggest an Edit' : isEditing ? 'Edit Device' : 'Submit a Device'}
+      </h1>
       <p className="text-sm sm:text-base text-gray-600 mb-4">
-        Help build the database by reporting surveillance devices you've spotted.
+        {isSuggesting
+          ? `Propose a correction to the type, position, description, direction or field of view. The owner can apply it, or it is applied automatically once ${SUGGESTION_CONFIRMATION_THRESHOLD} other people confirm it.`
+          : isEditing
+            ? 'Correct the type, position, address, description or direction of your submission. Votes are kept.'
+            : 'Help build the database by reporting surveillance devices you\'ve spotted.'}
       </p>
       <div className="bg-green-50 border border-green-200 rounded-lg p-3 mb-6 sm:mb-8">
         <p className="text-xs sm:text-sm text-gray-700">
@@ -191,12 +409,22 @@ function Submit() {
             </p>
           </div>
 
+          <div className="mb-4">
+            <PhotoLocationPrefill
+              onLocationChange={handleLocationChange}
+              onAttach={editDeviceId ? null : handleAttachLocationPhoto}
+            />
+          </div>
+
           {/* Map Picker */}
           <MapPicker
             latitude={formData.latitude ? parseFloat(formData.latitude) : null}
             longitude={formData.longitude ? parseFloat(formData.longitude) : null}
             onLocationChange={handleLocationChange}
             onGetCurrentLocation={setGettingLocation}
+            directions={formData.direction}
+            fov={formData.fov !== '' ? parseFloat(formData.fov) : null}
+            onDirectionsChange={(direction) => setFormData(prev => ({ ...prev, direction }))}
           />
           <p className="mt-2 text-xs text-gray-500">
             Coordinates are automatically filled when you search an address or select a location on the map
@@ -239,20 +467,22 @@ function Submit() {
           </div>
         </div>
 
-        <div className="mb-6">
-          <label htmlFor="address" className="block text-sm font-medium text-gray-700 mb-2">
-            Address (Optional)
-          </label>
-          <input
-            type="text"
-            id="address"
-            name="address"
-            value={formData.address}
-            onChange={handleChange}
-            placeholder="123 Main St, City, State"
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
+        {!isSuggesting && (
+          <div className="mb-6">
+            <label htmlFor="address" className="block text-sm font-medium text-gray-700 mb-2">
+              Address (Optional)
+            </label>
+            <input
+              type="text"
+              id="address"
+              name="address"
+              value={formData.address}
+              onChange={handleChange}
+              placeholder="123 Main St, City, State"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        )}
 
         <div className="mb-6">
           <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
@@ -269,13 +499,84 @@ function Submit() {
           />
         </div>
 
+        {formData.direction.length > 0 && (
+          <div className="mb-6">
+            <label htmlFor="fov" className="block text-sm font-medium text-gray-700 mb-2">
+              Field of View (Optional)
+            </label>
+            <input
+              type="number"
+              id="fov"
+              name="fov"
+              value={formData.fov}
+              onChange={handleChange}
+              min="1"
+              max="360"
+              step="any"
+              placeholder="e.g. 60"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="mt-2 text-xs text-gray-500">
+              How wide the camera sees, in degrees. Set the direction it faces on the map above.
+            </p>
+          </div>
+        )}
+
+        {!editDeviceId && (
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Photos (Optional)
+            </label>
+            <PhotoPicker photos={photos} onChange={setPhotos} max={MAX_PHOTOS_PER_DEVICE} disabled={submitting} />
+          </div>
+        )}
+
+        {isSuggesting && (
+          <div className="mb-6">
+            <label htmlFor="suggestionReason" className="block text-sm font-medium text-gray-700 mb-2">
+              Why? (Optional)
+            </label>
+            <textarea
+              id="suggestionReason"
+              value={suggestionReason}
+              onChange={(e) => setSuggestionReason(e.target.value)}
+              rows="2"
+              maxLength={500}
+              placeholder="e.g. The camera is on the other side of the intersection"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        )}
+
+        {possibleDuplicates.length > 0 && (
+          <div className="mb-6">
+            <PossibleDuplicates
+              duplicates={possibleDuplicates}
+              onConfirm={handleConfirmExisting}
+              onSubmitAnyway={() => submitForm(true)}
+              busy={submitting}
+            />
+          </div>
+        )}
+
         <button
           type="submit"
           disabled={submitting || gettingLocation}
           className="w-full bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
         >
-          {submitting ? 'Submitting...' : gettingLocation ? 'Getting location...' : 'Submit Device'}
+          {submitting
+            ? (isSuggesting ? 'Sending...' : isEditing ? 'Saving...' : 'Submitting...')
+            : gettingLocation ? 'Getting location...' : isSuggesting ? 'Suggest Edit' : isEditing ? 'Save Changes' : 'Submit Device'}
         </button>
+        
+        {editDeviceId && (
+          <Link
+            to={`/devices/${editDeviceId}`}
+            className="block mt-3 text-center text-sm text-gray-600 hover:text-gray-900 underline"
+          >
+            Cancel
+          </Link>
+        )}
       </form>
     </div>
   )
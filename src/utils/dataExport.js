@@ -5,6 +5,7 @@
 
 import { getDocs, collection } from 'firebase/firestore';
 import { db } from '../firebase/config';
+import { getConfirmationCount } from './deviceStatus';
 
 const DEVICES_COLLECTION = 'devices';
 
@@ -15,13 +16,15 @@ const DEVICES_COLLECTION = 'devices';
 export async function exportToJSON() {
   try {
     const querySnapshot = await getDocs(collection(db, DEVICES_COLLECTION));
-    const devices = querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      // Convert Firestore timestamps to ISO strings for JSON
-      createdAt: doc.data().createdAt?.toDate?.()?.toISOString() || doc.data().createdAt,
-      updatedAt: doc.data().updatedAt?.toDate?.()?.toISOString() || doc.data().updatedAt,
-    }));
+    const devices = querySnapshot.docs
+      .filter(doc => !doc.data().deleted) // Skip soft-deleted tombstones
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        // Convert Firestore timestamps to ISO strings for JSON
+        createdAt: doc.data().createdAt?.toDate?.()?.toISOString() || doc.data().createdAt,
+        updatedAt: doc.data().updatedAt?.toDate?.()?.toISOString() || doc.data().updatedAt,
+      }));
 
     return JSON.stringify(devices, null, 2);
   } catch (error) {
@@ -37,17 +40,16 @@ export async function exportToJSON() {
 export async function exportToCSV() {
   try {
     const querySnapshot = await getDocs(collection(db, DEVICES_COLLECTION));
-    const devices = querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const devices = querySnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data(), confirmationCount: getConfirmationCount(doc.data()) }))
+      .filter(device => !device.deleted); // Skip soft-deleted tombstones
 
     if (devices.length === 0) {
       return 'No devices to export';
     }
 
     // CSV headers
-    const headers = ['id', 'type', 'latitude', 'longitude', 'address', 'description', 'thumbsUp', 'inactiveReports', 'createdAt'];
+    const headers = ['id', 'type', 'latitude', 'longitude', 'address', 'description', 'confirmationCount', 'lastConfirmedAt', 'inactiveReports', 'createdAt'];
     const rows = devices.map(device => {
       const row = headers.map(header => {
         const value = device[header];
@@ -82,10 +84,9 @@ export async function exportToCSV() {
 export async function exportToGeoJSON() {
   try {
     const querySnapshot = await getDocs(collection(db, DEVICES_COLLECTION));
-    const devices = querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const devices = querySnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(device => !device.deleted); // Skip soft-deleted tombstones
 
     const features = devices
       .filter(device => device.latitude != null && device.longitude != null)
@@ -100,7 +101,10 @@ export async function exportToGeoJSON() {
           type: device.type,
           address: device.address || null,
           description: device.description || null,
-          thumbsUp: device.thumbsUp || 0,
+          direction: device.direction ?? null,
+          fov: device.fov ?? null,
+          confirmationCount: getConfirmationCount(device),
+          lastConfirmedAt: device.lastConfirmedAt?.toDate?.()?.toISOString() || null,
           inactiveReports: device.inactiveReports || 0,
           createdAt: device.createdAt?.toDate?.()?.toISOString() || device.createdAt,
         },
@@ -0,0 +1,114 @@
+/**
+ * Main-thread client for the device cache worker
+ * Every call posts a request to the worker, which owns the IndexedDB connection,
+ * and resolves with its reply
+ */
+
+let worker = null
+let nextRequestId = 0
+const pendingRequests = new Map()
+
+/**
+ * Get the worker, starting it on first use
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/deviceCache.worker.js', import.meta.url), { type: 'module' })
+
+    worker.onmessage = (event) => {
+      const { id, result, error } = event.data
+      const pending = pendingRequests.get(id)
+      if (!pending) return
+
+      pendingRequests.delete(id)
+      if (error) {
+        pending.reject(new Error(error))
+      } else {
+        pending.resolve(result)
+      }
+    }
+
+    worker.onerror = (event) => {
+      console.error('Device cache worker error:', event.message)
+      // Fail every outstanding request rather than leaving callers hanging
+      pendingRequests.forEach(pending => pending.reject(new Error(event.message || 'Device cache worker failed')))
+      pendingRequests.clear()
+    }
+  }
+  return worker
+}
+
+/**
+ * Send a request to the worker
+ * @param {string} type - Request type (query, nearby, store, merge, getMetadata, clear)
+ * @param {Object} payload - Request data
+ * @returns {Promise<*>} Worker reply
+ */
+function request(type, payload = {}) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId
+    pendingRequests.set(id, { resolve, reject })
+    getWorker().postMessage({ id, type, payload })
+  })
+}
+
+/**
+ * Get the cached devices to show for a viewport
+ * Padding, type, status and bounds filtering happen in the worker
+ * @param {Object} bounds - Viewport bounding box {south, north, west, east}
+ * @param {Set<string>} types - Device types to include
+ * @param {number|null} zoom - Current map zoom
+ * @param {number|null} maxDevices - Optional cap on the number of devices returned
+ * @param {boolean} hideRemoved - Leave out devices whose status is 'removed' (see utils/deviceStatus)
+ * @returns {Promise<Object>} {devices, total} where total is the count before the cap
+ */
+export function queryVisibleDevices(bounds, types, zoom, maxDevices = null, hideRemoved = false) {
+  return request('query', { bounds, types, zoom, maxDevices, hideRemoved })
+}
+
+/**
+ * Get the cached devices within a radius of a point (see getDevicesNearby in indexedDB.js)
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusMeters - Radius in meters
+ * @param {Array<string>|null} types - Device types to include (default: all)
+ * @returns {Promise<Array>} Devices with a distance field (meters), nearest first
+ */
+export function queryNearbyDevices(latitude, longitude, radiusMeters, types = null) {
+  return request('nearby', { latitude, longitude, radiusMeters, types })
+}
+
+/**
+ * Replace the cached devices (see storeDevices in indexedDB.js)
+ * @param {Array} devices - Array of device objects to store
+ * @param {boolean} isFullRefresh - If true, clears the store first
+ * @returns {Promise<boolean>} True if stored successfully
+ */
+export function storeCachedDevices(devices, isFullRefresh = false) {
+  return request('store', { devices, isFullRefresh })
+}
+
+/**
+ * Merge changed devices into the cache (see mergeDevices in indexedDB.js)
+ * @param {Array} devices - Array of new, changed or deleted device objects
+ * @returns {Promise<boolean>} True if stored successfully
+ */
+export function mergeCachedDevices(devices) {
+  return request('merge', { devices })
+}
+
+/**
+ * Get cache metadata
+ * @returns {Promise<Object|null>} Cache metadata or null if the cache is empty
+ */
+export function getCachedMetadata() {
+  return request('getMetadata')
+}
+
+/**
+ * Clear all cached devices
+ * @returns {Promise<void>}
+ */
+export function clearCachedDevices() {
+  return request('clear')
+}
@@ -0,0 +1,89 @@
+/**
+ * Device status lifecycle
+ * Computed on the client from 👍 confirmations versus "Not Here" reports and
+ * when each last happened, so a status can age into "removed" without a write.
+ *
+ *   active         - no reports, or reports outweighed by confirmations
+ *   disputed       - reports and confirmations roughly balanced, or too few reports to tell
+ *   likely_removed - reports clearly outnumber confirmations
+ *   removed        - likely_removed, and nobody has confirmed it since the last report
+ *                    for REMOVED_AFTER_DAYS
+ */
+
+import { getTimestampMillis } from './indexedDB.js'
+
+export const DEVICE_STATUSES = ['active', 'disputed', 'likely_removed', 'removed']
+
+// Fewest "Not Here" reports that can mark a device as likely removed
+export const LIKELY_REMOVED_MIN_REPORTS = 2
+// Fewest "Not Here" reports that can mark a device as removed
+export const REMOVED_MIN_REPORTS = 3
+// Days a likely removed device has to go unconfirmed before it counts as removed
+export const REMOVED_AFTER_DAYS = 14
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const deviceStatusLabels = {
+  active: 'Active',
+  disputed: 'Disputed',
+  likely_removed: 'Likely removed',
+  removed: 'Removed',
+}
+
+// Marker opacity per status; only the removal statuses really grey a marker out
+export const deviceStatusOpacity = {
+  active: 1,
+  disputed: 0.85,
+  likely_removed: 0.5,
+  removed: 0.3,
+}
+
+/**
+ * Number of "still here" confirmations of a device
+ * Devices not yet moved to the confirmations subcollection only have the old thumbsUp count
+ * @param {Object} device - Device data
+ * @returns {number} Confirmation count
+ */
+export function getConfirmationCount(device) {
+  return device.confirmationCount ?? device.thumbsUp ?? 0
+}
+
+/**
+ * Work out where a device is in its lifecycle
+ * @param {Object} device - Device with confirmationCount, inactiveReports, lastConfirmedAt and lastInactiveReportAt
+ * @param {number} now - Current time in epoch millis
+ * @returns {string} One of DEVICE_STATUSES
+ */
+export function getDeviceStatus(device, now = Date.now()) {
+  const confirmations = getConfirmationCount(device)
+  const reports = device.inactiveReports || 0
+
+  if (reports === 0) {
+    return 'active'
+  }
+
+  // Cached devices carry cloned timestamps, so go through the cache's converter
+  const lastConfirmedAt = getTimestampMillis(device.lastConfirmedAt) || 0
+  const lastReportAt = getTimestampMillis(device.lastInactiveReportAt) || 0
+  const confirmedSinceReport = lastConfirmedAt > 0 && lastConfirmedAt > lastReportAt
+
+  // Someone has seen it since the latest report, and the reports don't outnumber them
+  if (confirmedSinceReport && confirmations >= reports) {
+    return 'active'
+  }
+
+  // One or two reports against plenty of confirmations are noise
+  if (reports * 2 <= confirmations) {
+    return 'active'
+  }
+
+  if (reports >= LIKELY_REMOVED_MIN_REPORTS && reports >= confirmations * 2) {
+    const settled = lastReportAt > 0 && now - lastReportAt >= REMOVED_AFTER_DAYS * DAY_MS
+    if (reports >= REMOVED_MIN_REPORTS && settled && !confirmedSinceReport) {
+      return 'removed'
+    }
+    return 'likely_removed'
+  }
+
+  return 'disputed'
+}
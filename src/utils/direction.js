@@ -0,0 +1,133 @@
+/**
+ * Camera direction and field of view
+ * Devices store `direction` as a list of compass bearings (degrees clockwise
+ * from north, up to MAX_DIRECTIONS for multi-head units) and an optional `fov`
+ * in degrees. Older submissions may hold a single number instead of a list.
+ */
+
+import { destinationPoint } from './geohash';
+
+// Most bearings one device can have (must match isValidDirection in firestore.rules)
+export const MAX_DIRECTIONS = 4;
+
+// Field of view drawn when a device doesn't record one
+export const DEFAULT_FOV = 60;
+
+// Length of a drawn view cone in screen pixels, so cones read the same at every zoom
+export const VIEW_CONE_PIXELS = 48;
+
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW',
+];
+
+/**
+ * Bring any angle into [0, 360)
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Equivalent bearing
+ */
+export function normalizeBearing(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Nearest of the 16 compass points to a bearing
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {string} Compass point, e.g. 'NE'
+ */
+export function toCompassPoint(bearing) {
+  return COMPASS_POINTS[Math.round(normalizeBearing(bearing) / 22.5) % 16];
+}
+
+/**
+ * Bearings of a device's direction field
+ * @param {Array<number>|number|null} direction - Stored direction (list, or a single number on older devices)
+ * @returns {Array<number>} Bearings, empty when the direction is unknown
+ */
+export function getDirections(direction) {
+  if (typeof direction === 'number') {
+    return [direction];
+  }
+  return Array.isArray(direction) ? direction.filter(bearing => typeof bearing === 'number') : [];
+}
+
+/**
+ * Parse directions written the way OpenStreetMap's direction tag allows
+ * Values are separated by ';' (or ','), and each is a bearing ("45"), a compass
+ * point ("NE") or a range ("300-60"); a range gives its middle as the bearing
+ * and its width as the field of view.
+ * @param {string} text - Direction text
+ * @returns {Object} {directions: Array<number>, fov: number|null}; directions is empty when nothing parses
+ */
+export function parseDirections(text) {
+  const directions = [];
+  let fov = null;
+
+  String(text || '').split(/[;,]/).forEach((part) => {
+    const value = part.trim().toUpperCase();
+    if (!value || directions.length >= MAX_DIRECTIONS) return;
+
+    const range = /^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/.exec(value);
+    if (range) {
+      const start = parseFloat(range[1]);
+      const width = normalizeBearing(parseFloat(range[2]) - start) || 360;
+      directions.push(normalizeBearing(start + width / 2));
+      fov = fov ?? width;
+      return;
+    }
+
+    const compassIndex = COMPASS_POINTS.indexOf(value);
+    if (compassIndex !== -1) {
+      directions.push(compassIndex * 22.5);
+      return;
+    }
+
+    const degrees = Number(value);
+    if (Number.isFinite(degrees)) {
+      directions.push(normalizeBearing(degrees));
+    }
+  });
+
+  return { directions, fov };
+}
+
+/**
+ * Directions as text, e.g. "45° (NE), 225° (SW)"
+ * @param {Array<number>|number|null} direction - Stored direction
+ * @returns {string} Readable directions, empty when unknown
+ */
+export function formatDirections(direction) {
+  return getDirections(direction)
+    .map(bearing => `${Math.round(bearing) % 360}° (${toCompassPoint(bearing)})`)
+    .join(', ');
+}
+
+/**
+ * Ground distance covered by one screen pixel on a Web Mercator map
+ * @param {number} latitude - Latitude of the point
+ * @param {number} zoom - Map zoom
+ * @returns {number} Meters per pixel
+ */
+export function metersPerPixel(latitude, zoom) {
+  return 156543.03392 * Math.cos(latitude * Math.PI / 180) / Math.pow(2, zoom);
+}
+
+/**
+ * Outline of a view cone, for drawing as a polygon
+ * @param {number} latitude - Device latitude
+ * @param {number} longitude - Device longitude
+ * @param {number} bearing - Direction the cone faces
+ * @param {number|null} fov - Field of view in degrees (DEFAULT_FOV when null)
+ * @param {number} meters - Cone length
+ * @returns {Array<Array<number>>} [latitude, longitude] points, starting at the device
+ */
+export function getViewConePoints(latitude, longitude, bearing, fov, meters) {
+  const width = Math.min(fov || DEFAULT_FOV, 360);
+  // One arc point every 10° or so keeps wide cones round without many vertices
+  const steps = Math.max(2, Math.ceil(width / 10));
+  const points = width < 360 ? [[latitude, longitude]] : [];
+  for (let i = 0; i <= steps; i++) {
+    points.push(destinationPoint(latitude, longitude, bearing - width / 2 + (width * i) / steps, meters));
+  }
+  return points;
+}
@@ -0,0 +1,164 @@
+/**
+ * Duplicate detection
+ * Before a device is added, nearby devices that could be the same physical
+ * device are looked up so the submitter can confirm the existing one instead.
+ * Moderators can also scan a region for duplicates that were already added.
+ */
+
+import { getNearbyDevices, getDevicesInRegion, confirmDevice, hasConfirmedDevice } from '../firebase/services';
+import { queryNearbyDevices, getCachedMetadata } from './deviceCacheWorker';
+import { distanceInMeters } from './geohash';
+import { getConfirmationCount } from './deviceStatus';
+
+// How close an existing device must be to count as a possible duplicate
+// Roughly the width of an intersection, and well within phone GPS error
+export const DUPLICATE_RADIUS_METERS = 30;
+
+// Most possible duplicates shown to the submitter
+export const MAX_DUPLICATE_CANDIDATES = 5;
+
+// The device cache is trusted for the check if it synced more recently than this;
+// otherwise Firestore is queried
+const CACHE_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Most devices one region scan for duplicates checks
+export const MAX_SCAN_DEVICES = 10000;
+
+// Types that can describe the same device: Flock cameras are license plate readers
+const COMPATIBLE_TYPE_GROUPS = [
+  ['flock', 'license_plate_reader'],
+];
+
+/**
+ * Device types that could describe the same physical device as a given type
+ * @param {string} type - Device type
+ * @returns {Array<string>|null} Compatible types, or null when any type is ('other')
+ */
+export function getCompatibleTypes(type) {
+  if (type === 'other') {
+    return null;
+  }
+  const group = COMPATIBLE_TYPE_GROUPS.find(types => types.includes(type)) || [type];
+  return [...group, 'other'];
+}
+
+/**
+ * Whether two devices' types could describe the same physical device
+ * @param {string} typeA - Type of one device
+ * @param {string} typeB - Type of the other device
+ * @returns {boolean} True if the types are compatible
+ */
+function areTypesCompatible(typeA, typeB) {
+  const types = getCompatibleTypes(typeA);
+  return !types || types.includes(typeB);
+}
+
+/**
+ * Find existing devices that may be the one being submitted
+ * Uses the device cache when it's fresh, and a Firestore bounds query otherwise.
+ * @param {number} latitude - Latitude of the new device
+ * @param {number} longitude - Longitude of the new device
+ * @param {string} type - Type of the new device
+ * @param {number} radiusMeters - Search radius (default: DUPLICATE_RADIUS_METERS)
+ * @returns {Promise<Array>} Devices with a distance field (meters), nearest first
+ */
+export async function findPossibleDuplicates(latitude, longitude, type, radiusMeters = DUPLICATE_RADIUS_METERS) {
+  const types = getCompatibleTypes(type);
+
+  let devices = null;
+  try {
+    const metadata = await getCachedMetadata();
+    if (metadata?.timestamp && Date.now() - metadata.timestamp < CACHE_MAX_AGE_MS) {
+      devices = await queryNearbyDevices(latitude, longitude, radiusMeters, types);
+    }
+  } catch (error) {
+    // The cache is only a shortcut; fall through to Firestore
+    console.error('Error checking the device cache for duplicates:', error);
+  }
+
+  if (devices === null) {
+    try {
+      devices = (await getNearbyDevices(latitude, longitude, radiusMeters))
+        .filter(device => !types || types.includes(device.type));
+    } catch (error) {
+      console.error('Error checking for duplicate devices:', error);
+      throw error;
+    }
+  }
+
+  return devices.slice(0, MAX_DUPLICATE_CANDIDATES);
+}
+
+/**
+ * Confirm an existing device in place of submitting a duplicate
+ * Unlike confirmDevice this never withdraws a confirmation the user already made.
+ * @param {string} deviceId - Document ID of the existing device
+ * @param {string} userId - User UID
+ * @returns {Promise<boolean>} True if a new confirmation was added, false if the user had already confirmed it
+ */
+export async function confirmExistingDevice(deviceId, userId) {
+  if (await hasConfirmedDevice(deviceId, userId)) {
+    return false;
+  }
+  await confirmDevice(deviceId, userId);
+  return true;
+}
+
+/**
+ * Which of two duplicates to keep: the one with more confirmations, then the older one
+ * @param {Object} a - Device
+ * @param {Object} b - Device
+ * @returns {Array<Object>} [device to keep, device to merge into it]
+ */
+function pickSurvivor(a, b) {
+  const confirmationDifference = getConfirmationCount(a) - getConfirmationCount(b);
+  if (confirmationDifference !== 0) {
+    return confirmationDifference > 0 ? [a, b] : [b, a];
+  }
+  const createdA = a.createdAt?.toMillis?.() ?? Infinity;
+  const createdB = b.createdAt?.toMillis?.() ?? Infinity;
+  return createdA <= createdB ? [a, b] : [b, a];
+}
+
+/**
+ * Find pairs of devices in a region that are probably the same physical device
+ * Devices are sorted by latitude so each one is only compared with the devices
+ * within the radius to its north, rather than with every other device.
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {number} radiusMeters - Largest distance between duplicates (default: DUPLICATE_RADIUS_METERS)
+ * @returns {Promise<Object>} {candidates, truncated}: pairs of {keep, merge, distance}, closest first,
+ *   where keep is the suggested survivor; truncated is true when the region had more than
+ *   MAX_SCAN_DEVICES devices and only part of it was checked
+ */
+export async function findMergeCandidates(bounds, radiusMeters = DUPLICATE_RADIUS_METERS) {
+  let devices;
+  let truncated;
+  try {
+    ({ devices, truncated } = await getDevicesInRegion(bounds, MAX_SCAN_DEVICES));
+  } catch (error) {
+    console.error('Error loading devices to check for duplicates:', error);
+    throw error;
+  }
+
+  const sorted = [...devices].sort((a, b) => a.latitude - b.latitude);
+  // The radius in degrees of latitude (about 111,320 m per degree)
+  const maxLatitudeGap = radiusMeters / 111320;
+  const candidates = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const device = sorted[i];
+    for (let j = i + 1; j < sorted.length && sorted[j].latitude - device.latitude <= maxLatitudeGap; j++) {
+      const other = sorted[j];
+      if (!areTypesCompatible(device.type, other.type)) {
+        continue;
+      }
+      const distance = distanceInMeters(device.latitude, device.longitude, other.latitude, other.longitude);
+      if (distance <= radiusMeters) {
+        const [keep, merge] = pickSurvivor(device, other);
+        candidates.push({ keep, merge, distance });
+      }
+    }
+  }
+
+  return { candidates: candidates.sort((a, b) => a.distance - b.distance), truncated };
+}
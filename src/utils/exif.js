@@ -0,0 +1,193 @@
+/**
+ * EXIF location reader
+ * Reads the GPS position, compass heading and capture time a camera or phone
+ * embedded in a JPEG. Parsing happens entirely in the browser; nothing is
+ * uploaded. Only the start of the file is read, where the EXIF block lives.
+ */
+
+import { normalizeBearing } from './direction';
+
+// The APP1 segment holding EXIF is at most 64 KB and comes before the image data
+const EXIF_SCAN_BYTES = 128 * 1024;
+
+// Tags used below (IFD0, Exif sub-IFD and GPS IFD)
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+const TAG_GPS_IMG_DIRECTION_REF = 0x0010;
+const TAG_GPS_IMG_DIRECTION = 0x0011;
+
+// Byte size of one value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Offset of the TIFF header inside a JPEG's APP1 Exif segment
+ * @param {DataView} view - JPEG bytes
+ * @returns {number|null} Offset, or null when the file has no EXIF
+ */
+function findTiffHeader(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+      // Not a marker, or start of the image data: no more metadata segments
+      return null;
+    }
+    const size = view.getUint16(offset + 2);
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+      return offset + 10; // After "Exif\0\0"
+    }
+    offset += 2 + size;
+  }
+  return null;
+}
+
+/**
+ * Entries of one IFD (image file directory)
+ * @param {DataView} view - JPEG bytes
+ * @param {number} tiff - Offset of the TIFF header
+ * @param {number} ifdOffset - Offset of the IFD from the TIFF header
+ * @param {boolean} little - Little-endian byte order
+ * @returns {Object} Map of tag to entry offset
+ */
+function readIfd(view, tiff, ifdOffset, little) {
+  const entries = {};
+  const start = tiff + ifdOffset;
+  const count = view.getUint16(start, little);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    entries[view.getUint16(entry, little)] = entry;
+  }
+  return entries;
+}
+
+/**
+ * Values of an IFD entry
+ * @param {DataView} view - JPEG bytes
+ * @param {number} tiff - Offset of the TIFF header
+ * @param {number} entry - Offset of the entry
+ * @param {boolean} little - Little-endian byte order
+ * @returns {string|Array<number>} Text for ASCII fields, numbers otherwise
+ */
+function readValues(view, tiff, entry, little) {
+  const type = view.getUint16(entry + 2, little);
+  const count = view.getUint32(entry + 4, little);
+  const size = TYPE_SIZES[type] * count;
+  // Values that fit in four bytes are stored in the entry itself
+  const start = size <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little);
+
+  if (type === 2) {
+    let text = '';
+    for (let i = 0; i < count; i++) {
+      const code = view.getUint8(start + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text;
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    switch (type) {
+      case 3:
+        values.push(view.getUint16(start + i * 2, little));
+        break;
+      case 4:
+        values.push(view.getUint32(start + i * 4, little));
+        break;
+      case 5:
+        values.push(view.getUint32(start + i * 8, little) / view.getUint32(start + i * 8 + 4, little));
+        break;
+      case 10:
+        values.push(view.getInt32(start + i * 8, little) / view.getInt32(start + i * 8 + 4, little));
+        break;
+      default:
+        values.push(view.getUint8(start + i));
+    }
+  }
+  return values;
+}
+
+/**
+ * Degrees from EXIF degrees/minutes/seconds and a hemisphere reference
+ * @param {Array<number>} dms - [degrees, minutes, seconds]
+ * @param {string} ref - 'N', 'S', 'E' or 'W'
+ * @returns {number|null} Signed decimal degrees, or null when invalid
+ */
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!Number.isFinite(degrees)) return null;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Capture time from an EXIF date ("YYYY:MM:DD HH:MM:SS", camera local time)
+ * @param {string} text - EXIF date
+ * @returns {Date|null} Date, or null when unparseable
+ */
+function parseExifDate(text) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Read where and which way a photo was taken from its EXIF data
+ * @param {File|Blob} file - JPEG photo
+ * @returns {Promise<Object>} {latitude, longitude, heading, headingRef ('T' true or 'M' magnetic north), takenAt}; each is null when missing
+ */
+export async function readPhotoLocation(file) {
+  const result = { latitude: null, longitude: null, heading: null, headingRef: null, takenAt: null };
+
+  const view = new DataView(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+  try {
+    const tiff = findTiffHeader(view);
+    if (tiff === null) {
+      return result;
+    }
+
+    const little = view.getUint16(tiff) === 0x4949; // "II" (Intel) or "MM" (Motorola)
+    const ifd0 = readIfd(view, tiff, view.getUint32(tiff + 4, little), little);
+
+    if (ifd0[TAG_EXIF_IFD]) {
+      const exif = readIfd(view, tiff, readValues(view, tiff, ifd0[TAG_EXIF_IFD], little)[0], little);
+      if (exif[TAG_DATE_TIME_ORIGINAL]) {
+        result.takenAt = parseExifDate(readValues(view, tiff, exif[TAG_DATE_TIME_ORIGINAL], little));
+      }
+    }
+
+    if (ifd0[TAG_GPS_IFD]) {
+      const gps = readIfd(view, tiff, readValues(view, tiff, ifd0[TAG_GPS_IFD], little)[0], little);
+      const read = tag => (gps[tag] ? readValues(view, tiff, gps[tag], little) : null);
+
+      const latitude = toDecimalDegrees(read(TAG_GPS_LATITUDE), read(TAG_GPS_LATITUDE_REF));
+      const longitude = toDecimalDegrees(read(TAG_GPS_LONGITUDE), read(TAG_GPS_LONGITUDE_REF));
+      // Phones write 0, 0 when they had no fix
+      if (latitude !== null && longitude !== null && (latitude !== 0 || longitude !== 0)
+        && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+        result.latitude = latitude;
+        result.longitude = longitude;
+      }
+
+      const heading = read(TAG_GPS_IMG_DIRECTION)?.[0];
+      if (Number.isFinite(heading)) {
+        result.heading = normalizeBearing(heading);
+        result.headingRef = read(TAG_GPS_IMG_DIRECTION_REF) === 'M' ? 'M' : 'T';
+      }
+    }
+  } catch (error) {
+    // Truncated or malformed EXIF; use whatever was read before the bad offset
+    console.error('Error reading photo EXIF:', error);
+  }
+  return result;
+}
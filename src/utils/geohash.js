@@ -0,0 +1,256 @@
+/**
+ * Geohash helpers for viewport queries
+ * Firestore has no native geospatial queries, so devices store a geohash string
+ * and a bounding box is covered by a handful of geohash prefix range queries
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Precision stored on every device (~4.8m x 4.8m cells)
+export const GEOHASH_PRECISION = 9;
+
+// Upper bound on the number of prefix range queries used to cover one viewport
+const MAX_QUERY_CELLS = 12;
+
+/**
+ * Encode a coordinate as a geohash
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {number} precision - Number of characters (default: GEOHASH_PRECISION)
+ * @returns {string} Geohash string
+ */
+export function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+  let latMin = -90, latMax = 90;
+  let lonMin = -180, lonMax = 180;
+  let hash = '';
+  let bit = 0;
+  let charIndex = 0;
+  let evenBit = true; // Geohash interleaves bits starting with longitude
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const lonMid = (lonMin + lonMax) / 2;
+      if (longitude >= lonMid) {
+        charIndex = (charIndex << 1) | 1;
+        lonMin = lonMid;
+      } else {
+        charIndex = charIndex << 1;
+        lonMax = lonMid;
+      }
+    } else {
+      const latMid = (latMin + latMax) / 2;
+      if (latitude >= latMid) {
+        charIndex = (charIndex << 1) | 1;
+        latMin = latMid;
+      } else {
+        charIndex = charIndex << 1;
+        latMax = latMid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bit === 5) {
+      hash += BASE32[charIndex];
+      bit = 0;
+      charIndex = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Get the size of a geohash cell in degrees at a given precision
+ * @param {number} precision - Number of geohash characters
+ * @returns {Object} Cell size {latSize, lonSize}
+ */
+function getCellSize(precision) {
+  const totalBits = precision * 5;
+  const lonBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+  return {
+    latSize: 180 / Math.pow(2, latBits),
+    lonSize: 360 / Math.pow(2, lonBits),
+  };
+}
+
+/**
+ * Clamp a bounding box to valid coordinate ranges
+ * Leaflet can report longitudes outside [-180, 180] when the world wraps
+ * @param {Object} bounds - Bounding box {south, north, west, east}
+ * @returns {Object} Clamped bounding box
+ */
+export function clampBounds(bounds) {
+  return {
+    south: Math.max(-90, bounds.south),
+    north: Math.min(90, bounds.north),
+    west: Math.max(-180, bounds.west),
+    east: Math.min(180, bounds.east),
+  };
+}
+
+/**
+ * Compute the geohash prefix ranges that cover a bounding box
+ * Picks the longest prefix length that still needs at most MAX_QUERY_CELLS cells,
+ * so each range query returns roughly what is inside the viewport
+ * @param {Object} bounds - Bounding box {south, north, west, east}
+ * @returns {Array<Array<string>>} Array of [start, end] geohash ranges
+ */
+export function geohashQueryBounds(bounds) {
+  const { south, north, west, east } = clampBounds(bounds);
+
+  // Find the finest precision that keeps the number of cells manageable
+  let precision = 1;
+  for (let p = GEOHASH_PRECISION; p >= 1; p--) {
+    const { latSize, lonSize } = getCellSize(p);
+    const rows = Math.floor(north / latSize) - Math.floor(south / latSize) + 1;
+    const cols = Math.floor(east / lonSize) - Math.floor(west / lonSize) + 1;
+    if (rows * cols <= MAX_QUERY_CELLS) {
+      precision = p;
+      break;
+    }
+  }
+
+  // Walk the grid of cells at that precision and collect their geohashes
+  const { latSize, lonSize } = getCellSize(precision);
+  const prefixes = new Set();
+  const firstRow = Math.floor(south / latSize);
+  const lastRow = Math.floor(north / latSize);
+  const firstCol = Math.floor(west / lonSize);
+  const lastCol = Math.floor(east / lonSize);
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let col = firstCol; col <= lastCol; col++) {
+      // Encode the center of each cell to avoid edge rounding
+      const lat = Math.min(90, (row + 0.5) * latSize);
+      const lon = Math.min(180, (col + 0.5) * lonSize);
+      prefixes.add(encodeGeohash(lat, lon, precision));
+    }
+  }
+
+  // '~' sorts after every base32 character, so [prefix, prefix~] matches the whole cell
+  return Array.from(prefixes)
+    .sort()
+    .map(prefix => [prefix, `${prefix}~`]);
+}
+
+/**
+ * Bounding box of a geohash cell
+ * @param {string} hash - Geohash (any precision)
+ * @returns {Object} Cell bounds {south, north, west, east}
+ */
+export function geohashCellBounds(hash) {
+  let south = -90, north = 90;
+  let west = -180, east = 180;
+  let evenBit = true;
+
+  for (const char of hash) {
+    const charIndex = BASE32.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const isSet = (charIndex >> bit) & 1;
+      if (evenBit) {
+        const lonMid = (west + east) / 2;
+        if (isSet) west = lonMid; else east = lonMid;
+      } else {
+        const latMid = (south + north) / 2;
+        if (isSet) south = latMid; else north = latMid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { south, north, west, east };
+}
+
+/**
+ * The next-precision cells of a geohash cell that overlap a bounding box
+ * Used to query a crowded cell again in smaller parts
+ * @param {string} prefix - Geohash cell
+ * @param {Object} bounds - Bounding box {south, north, west, east}
+ * @returns {Array<string>} Child geohashes
+ */
+export function geohashChildrenInBounds(prefix, bounds) {
+  const { south, north, west, east } = clampBounds(bounds);
+  return Array.from(BASE32, char => prefix + char).filter((child) => {
+    const cell = geohashCellBounds(child);
+    return cell.south <= north && cell.north >= south && cell.west <= east && cell.east >= west;
+  });
+}
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in meters
+ */
+export function distanceInMeters(lat1, lon1, lat2, lon2) {
+  const EARTH_RADIUS = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Initial compass bearing from one point towards another
+ * @param {number} lat1 - Latitude of the start
+ * @param {number} lon1 - Longitude of the start
+ * @param {number} lat2 - Latitude of the destination
+ * @param {number} lon2 - Longitude of the destination
+ * @returns {number} Degrees clockwise from north, in [0, 360)
+ */
+export function bearingBetween(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Point reached by travelling a distance along a compass bearing
+ * @param {number} latitude - Start latitude
+ * @param {number} longitude - Start longitude
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} meters - Distance to travel
+ * @returns {Array<number>} [latitude, longitude] of the destination
+ */
+export function destinationPoint(latitude, longitude, bearing, meters) {
+  const EARTH_RADIUS = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const toDeg = (rad) => rad * 180 / Math.PI;
+  const angular = meters / EARTH_RADIUS;
+  const theta = toRad(bearing);
+  const lat1 = toRad(latitude);
+  const lon1 = toRad(longitude);
+
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+    Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+  const lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+  return [toDeg(lat2), ((toDeg(lon2) + 540) % 360) - 180];
+}
+
+/**
+ * Bounding box that contains a circle around a point
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusMeters - Radius in meters
+ * @returns {Object} Bounding box {south, north, west, east}
+ */
+export function boundsAroundPoint(latitude, longitude, radiusMeters) {
+  const latDelta = radiusMeters / 111320;
+  // Longitude degrees shrink towards the poles
+  const lonDelta = radiusMeters / (111320 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  return clampBounds({
+    south: latitude - latDelta,
+    north: latitude + latDelta,
+    west: longitude - lonDelta,
+    east: longitude + lonDelta,
+  });
+}
@@ -3,13 +3,46 @@
  * Uses IndexedDB which has much larger storage limits than localStorage
  */
 
+import { encodeGeohash, geohashQueryBounds, boundsAroundPoint, distanceInMeters } from './geohash.js'
+
 const DB_NAME = 'PeekBackDB'
-const DB_VERSION = 1
+// Version 2 adds the geohash and [type, geohash] indexes for bounds queries
+const DB_VERSION = 2
 const STORE_NAME = 'devices'
 const CACHE_META_KEY = 'cache_metadata'
 
 let dbInstance = null
 
+/**
+ * Convert a Firestore Timestamp to milliseconds
+ * Timestamps lose their class when stored in IndexedDB, so plain {seconds, nanoseconds}
+ * objects are handled as well
+ * @param {Object|number|string} value - Timestamp, cloned timestamp, millis or date string
+ * @returns {number|null} Milliseconds since epoch, or null if unknown
+ */
+export function getTimestampMillis(value) {
+  if (!value) return null
+  if (typeof value.toMillis === 'function') return value.toMillis()
+  if (typeof value.seconds === 'number') {
+    return value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6)
+  }
+  const millis = new Date(value).getTime()
+  return isNaN(millis) ? null : millis
+}
+
+/**
+ * Get the highest updatedAt among devices
+ * @param {Array} devices - Array of device objects
+ * @param {number|null} initial - Value to start from (e.g. the currently cached high-water mark)
+ * @returns {number|null} Milliseconds since epoch, or null if no device has updatedAt
+ */
+function getLatestUpdatedAt(devices, initial = null) {
+  return devices.reduce((latest, device) => {
+    const millis = getTimestampMillis(device.updatedAt)
+    return millis !== null && (latest === null || millis > latest) ? millis : latest
+  }, initial)
+}
+
 /**
  * Open or create the IndexedDB database
  */
@@ -33,19 +66,120 @@ export function openDB() {
 
     request.onupgradeneeded = (event) => {
       const db = event.target.result
+      let objectStore
       
       // Create object store for devices if it doesn't exist
       if (!db.objectStoreNames.contains(STORE_NAME)) {
-        const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'id' })
         // Create index for efficient queries
         objectStore.createIndex('latitude', 'latitude', { unique: false })
         objectStore.createIndex('longitude', 'longitude', { unique: false })
         objectStore.createIndex('type', 'type', { unique: false })
+      } else {
+        objectStore = event.target.transaction.objectStore(STORE_NAME)
+      }
+      
+      // Version 2: spatial indexes for bounds and radius queries
+      if (event.oldVersion < 2) {
+        objectStore.createIndex('geohash', 'geohash', { unique: false })
+        objectStore.createIndex('type_geohash', ['type', 'geohash'], { unique: false })
+        
+        // Give devices cached by version 1 a geohash so they show up in the new indexes
+        objectStore.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result
+          if (!cursor) return
+          const device = cursor.value
+          if (!device.geohash && device.latitude != null && device.longitude != null) {
+            cursor.update({ ...device, geohash: encodeGeohash(device.latitude, device.longitude) })
+          }
+          cursor.continue()
+        }
       }
     }
   })
 }
 
+/**
+ * Make sure a device has the geohash used by the spatial indexes
+ * Devices that predate the geohash field (not yet backfilled) get one computed locally
+ * @param {Object} device - Device object
+ * @returns {Object} Device object with geohash
+ */
+function withGeohash(device) {
+  if (device.geohash || device.latitude == null || device.longitude == null) {
+    return device
+  }
+  return { ...device, geohash: encodeGeohash(device.latitude, device.longitude) }
+}
+
+/**
+ * Put devices into the store in batches
+ * Each batch uses its own transaction and yields to the event loop between batches
+ * @param {IDBDatabase} db - Open database
+ * @param {Array} devices - Array of device objects to store
+ */
+async function putDevicesInBatches(db, devices) {
+  // Process in batches to avoid blocking and improve performance
+  // IndexedDB transactions are more efficient when operations are batched
+  const BATCH_SIZE = 2000 // Process 2000 devices per batch (increased from 1000)
+  const totalBatches = Math.ceil(devices.length / BATCH_SIZE)
+  
+  for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
+    const start = batchIndex * BATCH_SIZE
+    const end = Math.min(start + BATCH_SIZE, devices.length)
+    const batch = devices.slice(start, end)
+    
+    // Use a single transaction per batch for better performance
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME], 'readwrite')
+      const store = transaction.objectStore(STORE_NAME)
+      
+      // Track completed operations
+      let completed = 0
+      let hasError = false
+      
+      // Use put() instead of add() - this will update existing records and add new ones
+      // For full refresh, we already cleared, but put() is still safe and efficient
+      batch.forEach(device => {
+        const request = store.put(withGeohash(device))
+        request.onsuccess = () => {
+          completed++
+          // Resolve when all operations in this batch complete
+          if (completed === batch.length && !hasError) {
+            resolve()
+          }
+        }
+        request.onerror = () => {
+          if (!hasError) {
+            hasError = true
+            reject(request.error)
+          }
+        }
+      })
+      
+      // Fallback: resolve on transaction complete if all operations succeeded
+      transaction.oncomplete = () => {
+        if (completed === batch.length && !hasError) {
+          resolve()
+        }
+      }
+      
+      transaction.onerror = () => {
+        if (!hasError) {
+          hasError = true
+          reject(transaction.error)
+        }
+      }
+    })
+    
+    // Yield to event loop between batches to keep UI responsive
+    // Only yield if there are more batches to process
+    if (batchIndex < totalBatches - 1) {
+      await new Promise(resolve => setTimeout(resolve, 0))
+    }
+  }
+}
+
 /**
  * Store all devices in IndexedDB
  * Optimized for performance with large datasets by:
@@ -74,7 +208,8 @@ export async function storeDevices(devices, isFullRefresh = false) {
     }
     await storeCacheMetadata({
       timestamp: Date.now(),
-      deviceCount: 0
+      deviceCount: 0,
+      lastUpdatedAt: null
     })
     return true
   }
@@ -93,65 +228,7 @@ export async function storeDevices(devices, isFullRefresh = false) {
       })
     }
     
-    // Process in batches to avoid blocking and improve performance
-    // IndexedDB transactions are more efficient when operations are batched
-    const BATCH_SIZE = 2000 // Process 2000 devices per batch (increased from 1000)
-    const totalBatches = Math.ceil(devices.length / BATCH_SIZE)
-    
-    for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
-      const start = batchIndex * BATCH_SIZE
-      const end = Math.min(start + BATCH_SIZE, devices.length)
-      const batch = devices.slice(start, end)
-      
-      // Use a single transaction per batch for better performance
-      await new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readwrite')
-        const store = transaction.objectStore(STORE_NAME)
-        
-        // Track completed operations
-        let completed = 0
-        let hasError = false
-        
-        // Use put() instead of add() - this will update existing records and add new ones
-        // For full refresh, we already cleared, but put() is still safe and efficient
-        batch.forEach(device => {
-          const request = store.put(device)
-          request.onsuccess = () => {
-            completed++
-            // Resolve when all operations in this batch complete
-            if (completed === batch.length && !hasError) {
-              resolve()
-            }
-          }
-          request.onerror = () => {
-            if (!hasError) {
-              hasError = true
-              reject(request.error)
-            }
-          }
-        })
-        
-        // Fallback: resolve on transaction complete if all operations succeeded
-        transaction.oncomplete = () => {
-          if (completed === batch.length && !hasError) {
-            resolve()
-          }
-        }
-        
-        transaction.onerror = () => {
-          if (!hasError) {
-            hasError = true
-            reject(transaction.error)
-          }
-        }
-      })
-      
-      // Yield to event loop between batches to keep UI responsive
-      // Only yield if there are more batches to process
-      if (batchIndex < totalBatches - 1) {
-        await new Promise(resolve => setTimeout(resolve, 0))
-      }
-    }
+    await putDevicesInBatches(db, devices)
     
     // For incremental updates (not full refresh), remove devices that are no longer present
     if (!isFullRefresh) {
@@ -216,7 +293,8 @@ export async function storeDevices(devices, isFullRefresh = false) {
     // Store cache metadata
     await storeCacheMetadata({
       timestamp: Date.now(),
-      deviceCount: devices.length
+      deviceCount: devices.length,
+      lastUpdatedAt: getLatestUpdatedAt(devices)
     })
 
     return true
@@ -226,6 +304,55 @@ export async function storeDevices(devices, isFullRefresh = false) {
   }
 }
 
+/**
+ * Merge changed devices into the cache (incremental sync)
+ * Unlike storeDevices, devices that are not in the array are left alone.
+ * Soft-deleted tombstones (deleted: true) are removed from the cache.
+ * @param {Array} devices - Array of new, changed or deleted device objects
+ * @returns {Promise<boolean>} True if stored successfully
+ */
+export async function mergeDevices(devices) {
+  try {
+    const db = await openDB()
+    const metadata = await getCacheMetadata()
+    const liveDevices = (devices || []).filter(device => !device.deleted)
+    const deletedIds = (devices || []).filter(device => device.deleted).map(device => device.id)
+
+    if (liveDevices.length > 0) {
+      await putDevicesInBatches(db, liveDevices)
+    }
+
+    if (deletedIds.length > 0) {
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readwrite')
+        const store = transaction.objectStore(STORE_NAME)
+        deletedIds.forEach(id => store.delete(id))
+        transaction.oncomplete = () => resolve()
+        transaction.onerror = () => reject(transaction.error)
+      })
+    }
+
+    const deviceCount = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME], 'readonly')
+      const request = transaction.objectStore(STORE_NAME).count()
+      // Don't count the metadata record
+      request.onsuccess = () => resolve(Math.max(0, request.result - 1))
+      request.onerror = () => reject(request.error)
+    })
+
+    await storeCacheMetadata({
+      timestamp: Date.now(),
+      deviceCount,
+      lastUpdatedAt: getLatestUpdatedAt(devices || [], metadata?.lastUpdatedAt ?? null)
+    })
+
+    return true
+  } catch (error) {
+    console.error('Error merging devices into IndexedDB:', error)
+    return false
+  }
+}
+
 /**
  * Get all devices from IndexedDB
  */
@@ -248,27 +375,56 @@ export async function getAllDevices() {
 
 /**
  * Get devices within bounds from IndexedDB
+ * Walks only the geohash cells covering the bounds with IDBKeyRange cursors,
+ * so rows outside the area are never read
+ * @param {Object} bounds - Bounding box {south, north, west, east}
+ * @param {Set<string>|Array<string>} types - Optional device types to include (default: all)
+ * @returns {Promise<Array>} Array of device objects within bounds
  */
-export async function getDevicesInBounds(bounds) {
+export async function getDevicesInBounds(bounds, types = null) {
   try {
     const db = await openDB()
     const transaction = db.transaction([STORE_NAME], 'readonly')
     const store = transaction.objectStore(STORE_NAME)
+    const ranges = geohashQueryBounds(bounds)
+
+    // With a type filter, use the compound index so other types are skipped too
+    const keyRanges = types
+      ? Array.from(types).flatMap(type => ranges.map(([start, end]) =>
+          IDBKeyRange.bound([type, start], [type, end])
+        ))
+      : ranges.map(([start, end]) => IDBKeyRange.bound(start, end))
+    const index = store.index(types ? 'type_geohash' : 'geohash')
 
     return new Promise((resolve, reject) => {
-      const request = store.getAll()
-      request.onsuccess = () => {
-        const allDevices = request.result || []
-        // Filter devices within bounds
-        const filtered = allDevices.filter(device => {
-          return device.latitude >= bounds.south &&
-                 device.latitude <= bounds.north &&
-                 device.longitude >= bounds.west &&
-                 device.longitude <= bounds.east
-        })
-        resolve(filtered)
+      const devices = []
+      let pending = keyRanges.length
+
+      if (pending === 0) {
+        resolve(devices)
+        return
       }
-      request.onerror = () => reject(request.error)
+
+      keyRanges.forEach(keyRange => {
+        const request = index.openCursor(keyRange)
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (!cursor) {
+            if (--pending === 0) resolve(devices)
+            return
+          }
+          // Geohash cells overhang the bounds, so check the exact coordinates
+          const device = cursor.value
+          if (device.latitude >= bounds.south &&
+              device.latitude <= bounds.north &&
+              device.longitude >= bounds.west &&
+              device.longitude <= bounds.east) {
+            devices.push(device)
+          }
+          cursor.continue()
+        }
+        request.onerror = () => reject(request.error)
+      })
     })
   } catch (error) {
     console.error('Error getting devices in bounds from IndexedDB:', error)
@@ -276,6 +432,25 @@ export async function getDevicesInBounds(bounds) {
   }
 }
 
+/**
+ * Get devices within a radius of a point from IndexedDB
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusMeters - Radius in meters
+ * @param {Set<string>|Array<string>} types - Optional device types to include (default: all)
+ * @returns {Promise<Array>} Array of device objects with a distance field (meters), nearest first
+ */
+export async function getDevicesNearby(latitude, longitude, radiusMeters, types = null) {
+  const candidates = await getDevicesInBounds(boundsAroundPoint(latitude, longitude, radiusMeters), types)
+  return candidates
+    .map(device => ({
+      ...device,
+      distance: distanceInMeters(latitude, longitude, device.latitude, device.longitude)
+    }))
+    .filter(device => device.distance <= radiusMeters)
+    .sort((a, b) => a.distance - b.distance)
+}
+
 /**
  * Add or update a single device in IndexedDB
  */
@@ -286,7 +461,7 @@ export async function upsertDevice(device) {
     const store = transaction.objectStore(STORE_NAME)
 
     return new Promise((resolve, reject) => {
-      const request = store.put(device)
+      const request = store.put(withGeohash(device))
       request.onsuccess = () => resolve()
       request.onerror = () => reject(request.error)
     })
@@ -25,6 +25,24 @@ function createCustomIcon(type, color) {
   })
 }
 
+// Marker colour for each device type, shared by the SVG icons and the canvas renderer
+export const deviceColors = {
+  flock: '#EF4444',
+  license_plate_reader: '#3B82F6',
+  traffic_camera: '#F59E0B',
+  security_camera: '#10B981',
+  other: '#8B5CF6',
+}
+
+// Display name for each device type
+export const deviceTypeLabels = {
+  flock: 'Flock Camera',
+  license_plate_reader: 'License Plate Reader',
+  traffic_camera: 'Traffic Camera',
+  security_camera: 'Security Camera',
+  other: 'Other',
+}
+
 // Device-specific icons with unique designs
 export const deviceIcons = {
   flock: (() => {
@@ -37,7 +55,7 @@ export const deviceIcons = {
           </filter>
         </defs>
         <path d="M18 0C8.059 0 0 8.059 0 18c0 9.941 18 26 18 26s18-16.059 18-26C36 8.059 27.941 0 18 0z" 
-              fill="#EF4444" 
+              fill="${deviceColors.flock}" 
               filter="url(#shadow-flock)"/>
         <rect x="10" y="12" width="16" height="12" rx="2" fill="white" opacity="0.95"/>
         <circle cx="18" cy="18" r="4" fill="#EF4444"/>
@@ -63,7 +81,7 @@ export const deviceIcons = {
           </filter>
         </defs>
         <path d="M18 0C8.059 0 0 8.059 0 18c0 9.941 18 26 18 26s18-16.059 18-26C36 8.059 27.941 0 18 0z" 
-              fill="#3B82F6" 
+              fill="${deviceColors.license_plate_reader}" 
               filter="url(#shadow-lpr)"/>
         <rect x="8" y="14" width="20" height="8" rx="1" fill="white" opacity="0.95"/>
         <line x1="10" y1="16" x2="26" y2="16" stroke="#3B82F6" stroke-width="1"/>
@@ -90,7 +108,7 @@ export const deviceIcons = {
           </filter>
         </defs>
         <path d="M18 0C8.059 0 0 8.059 0 18c0 9.941 18 26 18 26s18-16.059 18-26C36 8.059 27.941 0 18 0z" 
-              fill="#F59E0B" 
+              fill="${deviceColors.traffic_camera}" 
               filter="url(#shadow-traffic)"/>
         <rect x="12" y="12" width="12" height="12" rx="2" fill="white" opacity="0.95"/>
         <circle cx="15" cy="15" r="2" fill="#EF4444"/>
@@ -117,7 +135,7 @@ export const deviceIcons = {
           </filter>
         </defs>
         <path d="M18 0C8.059 0 0 8.059 0 18c0 9.941 18 26 18 26s18-16.059 18-26C36 8.059 27.941 0 18 0z" 
-              fill="#10B981" 
+              fill="${deviceColors.security_camera}" 
               filter="url(#shadow-security)"/>
         <ellipse cx="18" cy="16" rx="10" ry="8" fill="white" opacity="0.95"/>
         <ellipse cx="18" cy="16" rx="8" ry="6" fill="#10B981" opacity="0.3"/>
@@ -144,7 +162,7 @@ export const deviceIcons = {
           </filter>
         </defs>
         <path d="M18 0C8.059 0 0 8.059 0 18c0 9.941 18 26 18 26s18-16.059 18-26C36 8.059 27.941 0 18 0z" 
-              fill="#8B5CF6" 
+              fill="${deviceColors.other}" 
               filter="url(#shadow-other)"/>
         <circle cx="18" cy="18" r="8" fill="white" opacity="0.95"/>
         <text x="18" y="22" font-family="Arial, sans-serif" font-size="14" font-weight="bold" 
@@ -0,0 +1,71 @@
+/**
+ * URL parameters for shareable /map links
+ * ?lat=&lng=&z= sets the view, types= limits the device types shown and
+ * device= opens that device's popup
+ */
+
+export const ALL_DEVICE_TYPES = ['flock', 'license_plate_reader', 'traffic_camera', 'security_camera', 'other']
+
+/**
+ * Read the map state from URL search params
+ * @param {URLSearchParams} searchParams - Current search params
+ * @returns {Object} {center: [lat, lng] | null, zoom: number | null, types: Set | null, deviceId: string | null}
+ */
+export function parseMapParams(searchParams) {
+  const lat = parseFloat(searchParams.get('lat'))
+  const lng = parseFloat(searchParams.get('lng'))
+  const zoom = parseInt(searchParams.get('z'), 10)
+  const hasCenter = Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180
+
+  let types = null
+  if (searchParams.has('types')) {
+    types = new Set(searchParams.get('types').split(',').filter(type => ALL_DEVICE_TYPES.includes(type)))
+  }
+
+  return {
+    center: hasCenter ? [lat, lng] : null,
+    zoom: Number.isFinite(zoom) && zoom >= 0 && zoom <= 18 ? zoom : null,
+    types,
+    deviceId: searchParams.get('device') || null,
+  }
+}
+
+/**
+ * Build URL search params for a map state
+ * Types are left out when every type is selected, so default links stay short
+ * @param {Object} state - {center: [lat, lng], zoom, types: Set, deviceId}
+ * @returns {URLSearchParams} Search params
+ */
+export function buildMapParams({ center, zoom, types, deviceId }) {
+  const params = new URLSearchParams()
+  if (center) {
+    params.set('lat', center[0].toFixed(5))
+    params.set('lng', center[1].toFixed(5))
+  }
+  if (zoom !== null && zoom !== undefined) {
+    params.set('z', String(Math.round(zoom)))
+  }
+  if (types && ALL_DEVICE_TYPES.some(type => !types.has(type))) {
+    params.set('types', ALL_DEVICE_TYPES.filter(type => types.has(type)).join(','))
+  }
+  if (deviceId) {
+    params.set('device', deviceId)
+  }
+  return params
+}
+
+/**
+ * Link to a device on the map
+ * @param {Object} device - Device with id, latitude and longitude
+ * @param {number} zoom - Map zoom (default: 17)
+ * @returns {string} /map URL that centers on the device and opens its popup
+ */
+export function getDeviceMapUrl(device, zoom = 17) {
+  const params = buildMapParams({
+    center: [device.latitude, device.longitude],
+    zoom,
+    deviceId: device.id,
+  })
+  return `/map?${params.toString()}`
+}
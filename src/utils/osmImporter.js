@@ -7,6 +7,9 @@
  * - Firestore: 10,000 writes/second (but batch writes are more efficient)
  */
 
+import { encodeGeohash } from './geohash';
+import { parseDirections } from './direction';
+
 /**
  * Split a large bounding box into smaller chunks
  * @param {Object} bounds - Bounding box {south, west, north, east}
@@ -292,6 +295,10 @@ export function convertOSMToPeekBack(osmElement) {
     deviceType = 'security_camera';
   }
 
+  // camera:direction is the surveillance-specific tag; plain direction is the older form
+  const directionTag = tags['camera:direction'] || tags.direction;
+  const { directions, fov } = parseDirections(directionTag);
+
   // Build description from OSM tags
   const descriptionParts = [];
   if (tags.brand) descriptionParts.push(`Brand: ${tags.brand}`);
@@ -299,7 +306,8 @@ export function convertOSMToPeekBack(osmElement) {
   if (tags.operator) descriptionParts.push(`Operator: ${tags.operator}`);
   if (tags['surveillance:type']) descriptionParts.push(`Type: ${tags['surveillance:type']}`);
   if (tags.surveillance) descriptionParts.push(`Surveillance: ${tags.surveillance}`);
-  if (tags.direction) descriptionParts.push(`Direction: ${tags.direction}`);
+  // Keep direction values we can't read (e.g. "forward") as text rather than lose them
+  if (directionTag && directions.length === 0) descriptionParts.push(`Direction: ${directionTag}`);
   if (tags.note) descriptionParts.push(tags.note);
   if (tags.description) descriptionParts.push(tags.description);
   
@@ -320,6 +328,8 @@ export function convertOSMToPeekBack(osmElement) {
     longitude,
     address,
     description,
+    direction: directions.length > 0 ? directions : null,
+    fov,
     // Metadata to track that this came from OSM
     source: 'osm',
     osmId: osmElement.id,
@@ -385,13 +395,13 @@ export async function importOSMData(osmElements, batchAddDevices, user, progress
       ...firestoreData,
       // Store osmId in the document for reference (not as metadata)
       osmId: deviceData.osmId,
+      geohash: encodeGeohash(deviceData.latitude, deviceData.longitude),
       reportedBy: {
         uid: user.uid,
         isAnonymous: user.isAnonymous,
         // Email is NOT stored to protect user privacy
       },
-      thumbsUp: 0,
-      thumbsUpUsers: [],
+      confirmationCount: 0,
       inactiveReports: 0,
       inactiveReportUsers: [],
     });
@@ -415,9 +425,10 @@ export async function importOSMData(osmElements, batchAddDevices, user, progress
     });
   }
 
-  // Batch write to Firestore (500 documents per batch - Firestore limit)
+  // Batch write to Firestore (500 writes per batch - Firestore limit; each device
+  // also writes a revision, so 250 devices per batch)
   // Using set() with document IDs will create or update - no need to check first
-  const BATCH_SIZE = 500;
+  const BATCH_SIZE = 250;
   const totalBatches = Math.ceil(devicesToImport.length / BATCH_SIZE);
 
   for (let i = 0; i < devicesToImport.length; i += BATCH_SIZE) {
@@ -426,8 +437,10 @@ export async function importOSMData(osmElements, batchAddDevices, user, progress
     const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
 
     try {
-      await batchAddDevices(batch, batchIds);
-      results.imported += batch.length;
+      // Deleted, hidden and merged devices are not re-imported
+      const written = await batchAddDevices(batch, batchIds);
+      results.imported += written;
+      results.skipped += batch.length - written;
 
       if (progressCallback) {
         const progress = 50 + ((batchNumber / totalBatches) * 50); // Second 50% is importing
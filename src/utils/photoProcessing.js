@@ -0,0 +1,94 @@
+/**
+ * Photo preparation for upload
+ * Photos are decoded and redrawn on a canvas before they leave the browser.
+ * Re-encoding keeps only the pixels, so EXIF (GPS position, camera serial,
+ * capture time), XMP and any other embedded metadata are never uploaded, and
+ * resizing keeps uploads under the limit in storage.rules.
+ */
+
+// Longest side of an uploaded photo, in pixels
+export const MAX_PHOTO_DIMENSION = 1600;
+
+// Largest upload storage.rules accepts
+export const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+// JPEG qualities tried in turn until the photo fits in MAX_PHOTO_BYTES
+const JPEG_QUALITIES = [0.85, 0.7, 0.55];
+
+/**
+ * Decode an image file, applying its EXIF orientation so portrait photos stay upright
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ */
+async function decodeImage(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+      // Some browsers don't take options or can't decode the format; try an <img>
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('This image format is not supported'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Encode a canvas as a JPEG
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {number} quality - JPEG quality (0-1)
+ * @returns {Promise<Blob>} JPEG data
+ */
+function canvasToJpeg(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Failed to encode photo'))),
+      'image/jpeg',
+      quality
+    );
+  });
+}
+
+/**
+ * Resize a photo and strip its metadata, ready for addDevicePhoto
+ * @param {File|Blob} file - Image picked by the user
+ * @param {number} maxDimension - Longest side of the result in pixels (default: MAX_PHOTO_DIMENSION)
+ * @returns {Promise<Object>} {blob (metadata-free JPEG), width, height}
+ */
+export async function preparePhoto(file, maxDimension = MAX_PHOTO_DIMENSION) {
+  if (file.type && !file.type.startsWith('image/')) {
+    throw new Error('Only image files can be attached');
+  }
+
+  const image = await decodeImage(file);
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+  if (typeof image.close === 'function') {
+    image.close();
+  }
+
+  for (const quality of JPEG_QUALITIES) {
+    const blob = await canvasToJpeg(canvas, quality);
+    if (blob.size <= MAX_PHOTO_BYTES) {
+      return { blob, width, height };
+    }
+  }
+  throw new Error('Photo is too large to upload');
+}
@@ -0,0 +1,8 @@
+// Display labels for abuse report reason codes (REPORT_REASONS in services)
+export const reportReasonLabels = {
+  fake: 'Fake or doesn\'t exist',
+  privacy: 'Privacy problem (e.g. a private home)',
+  duplicate: 'Duplicate of another pin',
+  offensive: 'Spam or offensive content',
+  other: 'Something else',
+}
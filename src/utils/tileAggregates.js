@@ -0,0 +1,185 @@
+/**
+ * Precomputed device counts per map tile for low zoom levels
+ * Rendering every device at country or state zoom is slow, so the map shows
+ * per-tile counts by device type instead. The aggregates are built from the
+ * device collection by scripts/build-tile-aggregates.js and served as static
+ * JSON from /tiles/z{zoom}.json.
+ */
+
+import { getDeviceStatus } from './deviceStatus.js';
+
+// Zoom levels that aggregates are built for
+export const AGGREGATE_MIN_ZOOM = 0;
+export const AGGREGATE_MAX_ZOOM = 10;
+
+// Aggregates are read this many levels below the map zoom, so each 256px map
+// tile is split into 4x4 cells and counts don't overlap on screen
+const AGGREGATE_ZOOM_OFFSET = 2;
+
+// Highest map zoom that shows aggregates; individual devices load above this
+export const MAX_AGGREGATE_MAP_ZOOM = AGGREGATE_MAX_ZOOM - AGGREGATE_ZOOM_OFFSET;
+
+// Web Mercator can't represent the poles
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+
+/**
+ * Convert a coordinate to the slippy-map tile that contains it
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {number} zoom - Tile zoom level
+ * @returns {Object} Tile coordinates {x, y}
+ */
+export function getTileForCoordinate(latitude, longitude, zoom) {
+  const tileCount = Math.pow(2, zoom);
+  const lat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, latitude));
+  const latRad = lat * Math.PI / 180;
+  const x = Math.floor((longitude + 180) / 360 * tileCount);
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * tileCount);
+  return {
+    x: Math.min(tileCount - 1, Math.max(0, x)),
+    y: Math.min(tileCount - 1, Math.max(0, y)),
+  };
+}
+
+/**
+ * Get the bounding box of a slippy-map tile
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} zoom - Tile zoom level
+ * @returns {Object} Bounding box {south, north, west, east}
+ */
+export function getTileBounds(x, y, zoom) {
+  const tileCount = Math.pow(2, zoom);
+  const tileLatitude = (row) => {
+    const n = Math.PI - 2 * Math.PI * row / tileCount;
+    return 180 / Math.PI * Math.atan(Math.sinh(n));
+  };
+  return {
+    south: tileLatitude(y + 1),
+    north: tileLatitude(y),
+    west: x / tileCount * 360 - 180,
+    east: (x + 1) / tileCount * 360 - 180,
+  };
+}
+
+/**
+ * Build per-tile device counts by type for a range of zoom levels
+ * Each tile also records the centroid of its devices so the count is drawn
+ * where the devices actually are rather than in the middle of the tile, and
+ * how many of each type had the 'removed' status (utils/deviceStatus) when built
+ * @param {Array} devices - Array of device objects
+ * @param {number} minZoom - Lowest zoom level (default: AGGREGATE_MIN_ZOOM)
+ * @param {number} maxZoom - Highest zoom level (default: AGGREGATE_MAX_ZOOM)
+ * @param {number} now - Time the statuses are worked out for, in epoch millis (default: now)
+ * @returns {Object} Map of zoom level to array of tiles {x, y, count, types, removedTypes, latitude, longitude}
+ */
+export function buildTileAggregates(devices, minZoom = AGGREGATE_MIN_ZOOM, maxZoom = AGGREGATE_MAX_ZOOM, now = Date.now()) {
+  const aggregates = {};
+  const removed = new Set(devices.filter(device => getDeviceStatus(device, now) === 'removed'));
+
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const tiles = new Map();
+
+    devices.forEach((device) => {
+      if (device.deleted || device.latitude == null || device.longitude == null) {
+        return;
+      }
+
+      const { x, y } = getTileForCoordinate(device.latitude, device.longitude, zoom);
+      const key = `${x}/${y}`;
+      let tile = tiles.get(key);
+      if (!tile) {
+        tile = { x, y, count: 0, types: {}, removedTypes: {}, latitudeSum: 0, longitudeSum: 0 };
+        tiles.set(key, tile);
+      }
+
+      const type = device.type || 'other';
+      tile.count++;
+      tile.types[type] = (tile.types[type] || 0) + 1;
+      if (removed.has(device)) {
+        tile.removedTypes[type] = (tile.removedTypes[type] || 0) + 1;
+      }
+      tile.latitudeSum += device.latitude;
+      tile.longitudeSum += device.longitude;
+    });
+
+    aggregates[zoom] = Array.from(tiles.values()).map(({ latitudeSum, longitudeSum, ...tile }) => ({
+      ...tile,
+      latitude: Math.round(latitudeSum / tile.count * 1e5) / 1e5,
+      longitude: Math.round(longitudeSum / tile.count * 1e5) / 1e5,
+    }));
+  }
+
+  return aggregates;
+}
+
+/**
+ * Get the aggregate zoom level to show at a map zoom
+ * @param {number} mapZoom - Current map zoom
+ * @returns {number} Aggregate zoom level
+ */
+export function getAggregateZoom(mapZoom) {
+  return Math.max(AGGREGATE_MIN_ZOOM, Math.min(AGGREGATE_MAX_ZOOM, Math.round(mapZoom) + AGGREGATE_ZOOM_OFFSET));
+}
+
+// Loaded aggregate files by zoom level (null = not available)
+const aggregateCache = new Map();
+
+/**
+ * Load the aggregate tiles for a zoom level from /tiles/z{zoom}.json
+ * @param {number} zoom - Aggregate zoom level
+ * @returns {Promise<Array|null>} Array of tiles, or null if aggregates haven't been built
+ */
+export async function loadTileAggregates(zoom) {
+  if (aggregateCache.has(zoom)) {
+    return aggregateCache.get(zoom);
+  }
+
+  let tiles = null;
+  try {
+    const response = await fetch(`/tiles/z${zoom}.json`);
+    // The SPA rewrite serves index.html for missing files, so check the content type too
+    if (response.ok && response.headers.get('content-type')?.includes('json')) {
+      const data = await response.json();
+      tiles = data.tiles || null;
+    }
+  } catch (error) {
+    console.error('Error loading tile aggregates:', error);
+  }
+
+  aggregateCache.set(zoom, tiles);
+  return tiles;
+}
+
+/**
+ * Get the aggregate tiles inside a bounding box, counting only the selected device types
+ * @param {Array} tiles - Array of aggregate tiles
+ * @param {Object} bounds - Bounding box {south, north, west, east}
+ * @param {Set<string>} types - Device types to count
+ * @param {boolean} hideRemoved - Leave out devices that were 'removed' when the tiles were built
+ * @returns {Array} Tiles with count and types restricted to the selection (empty tiles dropped)
+ */
+export function getVisibleTiles(tiles, bounds, types, hideRemoved = false) {
+  return tiles.reduce((visible, tile) => {
+    if (tile.latitude < bounds.south || tile.latitude > bounds.north ||
+        tile.longitude < bounds.west || tile.longitude > bounds.east) {
+      return visible;
+    }
+
+    const selectedTypes = {};
+    let count = 0;
+    Object.entries(tile.types).forEach(([type, typeCount]) => {
+      // Tiles built before removed devices were counted have no removedTypes
+      const shown = hideRemoved ? typeCount - (tile.removedTypes?.[type] || 0) : typeCount;
+      if (types.has(type) && shown > 0) {
+        selectedTypes[type] = shown;
+        count += shown;
+      }
+    });
+
+    if (count > 0) {
+      visible.push({ ...tile, count, types: selectedTypes });
+    }
+    return visible;
+  }, []);
+}
@@ -0,0 +1,31 @@
+import { getTimestampMillis } from './indexedDB'
+
+const UNITS = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['week', 7 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000],
+]
+
+const formatter = new Intl.RelativeTimeFormat('en-US', { numeric: 'auto' })
+
+/**
+ * Describe a past time relative to now, e.g. "3 weeks ago" or "yesterday"
+ * @param {Object|number} timestamp - Firestore Timestamp, cloned timestamp or epoch millis
+ * @param {number} now - Current time in epoch millis
+ * @returns {string|null} Relative time, or null when the timestamp is missing
+ */
+export function formatTimeAgo(timestamp, now = Date.now()) {
+  const millis = getTimestampMillis(timestamp)
+  if (!millis) return null
+
+  const elapsed = Math.max(0, now - millis)
+  for (const [unit, unitMs] of UNITS) {
+    if (elapsed >= unitMs) {
+      return formatter.format(-Math.floor(elapsed / unitMs), unit)
+    }
+  }
+  return 'just now'
+}
@@ -0,0 +1,69 @@
+/**
+ * Web Worker that owns the IndexedDB device cache
+ * Cache hydration, type, status and viewport filtering run here so that
+ * panning over tens of thousands of devices doesn't block the main thread
+ */
+
+import {
+  storeDevices,
+  mergeDevices,
+  getDevicesInBounds,
+  getDevicesNearby,
+  getCacheMetadata,
+  clearCache
+} from '../utils/indexedDB'
+import { getDeviceStatus } from '../utils/deviceStatus'
+
+/**
+ * Pad bounds so markers don't pop in/out while panning
+ * Zoomed-out viewports are already huge, so they get less padding
+ * @param {Object} bounds - Bounding box {south, north, west, east}
+ * @param {number|null} zoom - Current map zoom
+ * @returns {Object} Padded bounding box
+ */
+function getPaddedBounds(bounds, zoom) {
+  const padding = zoom !== null && zoom < 8 ? 0.05 : 0.1
+  const latPadding = (bounds.north - bounds.south) * padding
+  const lonPadding = (bounds.east - bounds.west) * padding
+  return {
+    south: bounds.south - latPadding,
+    north: bounds.north + latPadding,
+    west: bounds.west - lonPadding,
+    east: bounds.east + lonPadding,
+  }
+}
+
+const handlers = {
+  // Devices for these bounds, types and zoom, already filtered
+  query: async ({ bounds, types, zoom = null, maxDevices = null, hideRemoved = false }) => {
+    let devices = await getDevicesInBounds(getPaddedBounds(bounds, zoom), types)
+    if (hideRemoved) {
+      const now = Date.now()
+      devices = devices.filter(device => getDeviceStatus(device, now) !== 'removed')
+    }
+    return {
+      devices: maxDevices !== null ? devices.slice(0, maxDevices) : devices,
+      total: devices.length,
+    }
+  },
+  // Devices within a radius of a point, nearest first
+  nearby: ({ latitude, longitude, radiusMeters, types = null }) => getDevicesNearby(latitude, longitude, radiusMeters, types),
+  store: ({ devices, isFullRefresh }) => storeDevices(devices, isFullRefresh),
+  merge: ({ devices }) => mergeDevices(devices),
+  getMetadata: () => getCacheMetadata(),
+  clear: () => clearCache(),
+}
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data
+
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown device cache request: ${type}`)
+    }
+    const result = await handlers[type](payload || {})
+    self.postMessage({ id, result })
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}